@@ -1,5 +1,5 @@
-/*  Letter Playground — single-file sketch.js for editor.p5js.org
-    - No HTML needed, all UI is built with p5 DOM.
+/*  Letter Playground — sketch.js for editor.p5js.org
+    - Needs letter_core.js (model and geometry) loaded first; all UI is built with p5 DOM.
     - Left: interactive editor with draggable anchors/handles.
     - Right: live black preview ~50 pt by default, Zoom + Fit.
     - Upload TTF/OTF, randomize with seed, undo/redo, export SVG/PNG.
@@ -7,7 +7,7 @@
 */
 console.log('JS loaded');
 
-/* =================== Load external libs (opentype.js, FileSaver) =================== */
+/* =================== Load external libs (opentype.js, FileSaver, paper.js) =================== */
 function loadScript(url) {
   return new Promise((resolve, reject) => {
     const s = document.createElement('script');
@@ -19,7 +19,8 @@ function loadScript(url) {
 }
 const LIBS = Promise.all([
   loadScript('https://cdnjs.cloudflare.com/ajax/libs/opentype.js/1.3.4/opentype.min.js'),
-  loadScript('https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js')
+  loadScript('https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js'),
+  loadScript('https://cdnjs.cloudflare.com/ajax/libs/paper.js/0.12.18/paper-core.min.js') // boolean path ops
 ]);
 
 /* =================== Layout constants =================== */
@@ -28,11 +29,19 @@ let UI_W = 290;          // left floating UI width
 let MIN_CANVAS_H = 560;
 
 /* =================== Global state =================== */
-let font = null;         // opentype.Font
-let glyphModel = null;
+// font and font2 (the opentype.Fonts) live in letter_core.js
+let fontBytes = null;    // ArrayBuffer of an uploaded font, null for the default one
+let defaultFontBytes = null; // ArrayBuffer of the default font, once it loaded
+let font2Bytes = null;
+let glyphModel = null;   // active glyph of the word
+let word = null;
 let ui = null;
 let editor = null;
 let preview = null;
+let timeline = null;
+let gallery = null;
+let exportDialog = null;
+let historyPanel = null;
 let initialized = false;
 let fpsSmoothed = 0;
 
@@ -45,15 +54,16 @@ function setup() {
 
   ui = new UI(); // show panel immediately
 
-  LIBS.then(() => {
-    // Try loading a default font. If it fails, upload will still work.
-    opentype.load('https://cdn.jsdelivr.net/npm/@fontsource/inter/files/inter-latin-400-normal.otf', (err, f) => {
-      if (!err) font = f;
-      initializeApp();
-    });
-  }).catch(() => {
-    initializeApp();
-  });
+  // the glyph core reports model changes, the page redraws and the panel follows
+  onModel('changed', () => window.dispatchEvent(new Event('modelChanged')));
+  onModel('loaded', () => ui.syncFromModel());
+
+  // Try loading a default font. If it fails, upload will still work.
+  LIBS.then(() => fetch('https://cdn.jsdelivr.net/npm/@fontsource/inter/files/inter-latin-400-normal.otf'))
+    .then(res => { if (!res.ok) throw new Error(res.statusText); return res.arrayBuffer(); })
+    .then(bytes => { font = parseFont(bytes); defaultFontBytes = bytes; })
+    .catch(err => console.warn('Default font not loaded:', err))
+    .then(initializeApp);
 }
 
 function draw() {
@@ -70,8 +80,11 @@ function draw() {
   const editorArea = { x: UI_W + 10, y: 10, w: width - (UI_W + PREVIEW_W + 30), h: height - 20 };
   const previewArea = { x: width - PREVIEW_W - 10, y: 10, w: PREVIEW_W, h: height - 20 };
 
+  timeline.tick();
+
   // Update the editor area (used by interaction helpers)
   editor._lastEditorArea = editorArea;
+  word.layout();
 
   // Draw editor and preview
   editor.draw(editorArea);
@@ -85,11 +98,8 @@ function draw() {
   pop();
 }
 
-function mousePressed()  { if (initialized) editor.mousePressed(); }
-function mouseDragged()  { if (initialized) editor.mouseDragged(); }
-function mouseReleased() { if (initialized) editor.mouseReleased(); }
-function mouseMoved()    { if (initialized) editor.mouseMoved(); }
-function keyPressed()    { if (initialized) ui.handleKey(keyCode); }
+// mouse, pen and touch reach the editor as pointer events, see Editor.listen()
+function keyPressed()    { if (initialized) return ui.handleKey(keyCode); }
 function windowResized() {
   resizeCanvas(Math.max(windowWidth, UI_W + PREVIEW_W + 100), Math.max(windowHeight, MIN_CANVAS_H));
   redraw();
@@ -97,163 +107,158 @@ function windowResized() {
 
 /* =================== Initialize app =================== */
 function initializeApp() {
-  glyphModel = new GlyphModel();
+  word = new Word();
   editor = new Editor();
+  editor.listen(drawingContext.canvas);
   preview = new Preview();
-  ui.hookModel(glyphModel, editor, preview);
+  timeline = new Timeline();
+  gallery = new SeedGallery();
+  exportDialog = new ExportDialog();
+  historyPanel = new HistoryPanel();
 
-  glyphModel.generate('A'); // default
+  if (!restoreAutosave()) word.setText(ui.charInput.value() || 'A'); // default
 
   noLoop();
   window.addEventListener('modelChanged', () => redraw());
+  window.addEventListener('modelChanged', scheduleAutosave);
+  window.addEventListener('modelChanged', () => exportDialog.update());
+  window.addEventListener('beforeunload', autosave);
+  window.addEventListener('paste', (e) => ui.onPaste(e));
 
   initialized = true;
   redraw();
 }
 
-/* =================== MODEL =================== */
-class GlyphModel {
+/* =================== WORD (one GlyphModel per character) =================== */
+class Word {
   constructor() {
-    this.originalPath = newPath();      // opentype.Path
-    this.path = newPath();              // working path
-    this.char = 'A';
-    this.params = { width: 1, height: 1, weight: 0, slant: 0, roundness: 0 };
-    this.undoStack = [];
-    this.redoStack = [];
-    this.maxHist = 60;
-  }
-
-  nodeCount() { return this.path?.commands?.length || 0; }
-
-  generate(ch) {
-    if (!ch) return;
-    this.char = ch[0];
-    if (font && typeof opentype !== 'undefined') {
-      const g = font.charToGlyph(this.char);
-      const p = g.getPath(0, 0, 72); // nominal size
-      this.originalPath = newPath(copyCommands(p.commands));
-    } else {
-      // minimal fallback "A-like" triangle if no font loaded
-      const p = newPath();
-      p.moveTo(0, 0); p.lineTo(40, 120); p.lineTo(80, 0); p.close();
-      this.originalPath = newPath(copyCommands(p.commands));
-    }
-    this.reset();
+    this.glyphs = [];   // GlyphModel per character
+    this.active = 0;    // index of the glyph being edited (= glyphModel)
+    this.text = '';
   }
 
-  reset() {
-    this.path = newPath(copyCommands(this.originalPath.commands));
-    this.params = { width: 1, height: 1, weight: 0, slant: 0, roundness: 0 };
-    this.undoStack = []; this.redoStack = [];
-    this.saveState();
-    this._emitChanged();
+  // Models of characters that are still in the text are kept, with their edits
+  setText(text) {
+    const chars = Array.from(text || '');
+    if (!chars.length) return;
+    const old = this.glyphs;
+    let j = 0;
+    this.glyphs = chars.map(ch => {
+      for (let k = j; k < old.length; k++) if (old[k].char === ch) { j = k + 1; return old[k]; }
+      const m = new GlyphModel();
+      m.generate(ch);
+      return m;
+    });
+    this.text = chars.join('');
+    this.setActive(Math.min(this.active, this.glyphs.length - 1));
   }
 
-  applyParams() {
-    const cmds = copyCommands(this.originalPath.commands);
-
-    // slant
-    if (this.params.slant !== 0) {
-      const tanv = Math.tan(this.params.slant * (Math.PI / 4));
-      for (const c of cmds) {
-        if ('x'  in c && 'y'  in c) c.x  += c.y  * tanv;
-        if ('x1' in c && 'y1' in c) c.x1 += c.y1 * tanv;
-        if ('x2' in c && 'y2' in c) c.x2 += c.y2 * tanv;
-      }
-    }
+  // Rebuild every glyph from the current font
+  regenerate() {
+    this.glyphs.forEach(m => m.generate(m.char));
+    this.setActive(this.active);
+  }
 
-    // scale to bbox
-    const bb = bboxOf(cmds);
-    if (bb.w > 0 && bb.h > 0) {
-      for (const c of cmds) {
-        if ('x'  in c) c.x  = (c.x  - bb.x) * this.params.width  + bb.x;
-        if ('x1' in c) c.x1 = (c.x1 - bb.x) * this.params.width  + bb.x;
-        if ('x2' in c) c.x2 = (c.x2 - bb.x) * this.params.width  + bb.x;
-
-        if ('y'  in c) c.y  = (c.y  - bb.y) * this.params.height + bb.y;
-        if ('y1' in c) c.y1 = (c.y1 - bb.y) * this.params.height + bb.y;
-        if ('y2' in c) c.y2 = (c.y2 - bb.y) * this.params.height + bb.y;
-      }
-    }
+  // The variation instance of the font changed
+  reinstance() {
+    this.glyphs.forEach(m => m.reinstance());
+  }
 
-    // roundness: pull handles toward anchors
-    if (this.params.roundness > 0) {
-      const t = this.params.roundness;
-      for (const c of cmds) {
-        if (c.type === 'C') {
-          c.x1 = lerp(c.x1, c.x, t); c.y1 = lerp(c.y1, c.y, t);
-          c.x2 = lerp(c.x2, c.x, t); c.y2 = lerp(c.y2, c.y, t);
-        } else if (c.type === 'Q') {
-          c.x1 = lerp(c.x1, c.x, t); c.y1 = lerp(c.y1, c.y, t);
-        }
-      }
-    }
+  // Match every glyph against a newly loaded second font
+  prepareMix() {
+    this.glyphs.forEach(m => { m.prepareMix(); m._rebuild(); });
+    this.setActive(this.active);
+  }
 
-    this.path.commands = cmds;
-    this.saveState();
-    this._emitChanged();
+  setActive(i) {
+    if (!this.glyphs[i]) return;
+    this.active = i;
+    glyphModel = this.glyphs[i];
+    if (editor) { editor.selected = []; editor.penStart = null; }
+    if (ui) { ui.hookModel(glyphModel, editor, preview); ui.syncFromModel(); }
+    glyphModel._emitChanged();
   }
 
-  randomize(seed = 42) {
-    randomSeed(seed);
-    const s = 20;
-    for (const c of this.path.commands) {
-      if (c.type !== 'Z') {
-        if ('x' in c) c.x += (random() - 0.5) * s;
-        if ('y' in c) c.y += (random() - 0.5) * s;
-      }
-      if (c.type === 'C') {
-        c.x1 += (random() - 0.5) * s; c.y1 += (random() - 0.5) * s;
-        c.x2 += (random() - 0.5) * s; c.y2 += (random() - 0.5) * s;
-      } else if (c.type === 'Q') {
-        c.x1 += (random() - 0.5) * s; c.y1 += (random() - 0.5) * s;
-      }
+  // Pen positions from advance widths and kerning; returns the total advance
+  layout() {
+    let x = 0, prev = null;
+    for (const m of this.glyphs) {
+      x += kerning(prev, m);
+      m.x = x;
+      x += m.advanceWidth();
+      prev = m;
     }
-    this.saveState();
-    this._emitChanged();
+    return x;
   }
 
-  // History
-  saveState() {
-    const snap = { path: newPath(copyCommands(this.path.commands)), params: { ...this.params } };
-    this.undoStack.push(snap);
-    if (this.undoStack.length > this.maxHist) this.undoStack.shift();
-    this.redoStack = [];
-  }
-  _load(state) {
-    if (!state) return;
-    this.path = newPath(copyCommands(state.path.commands));
-    this.params = { ...state.params };
-    ui.syncFromModel();
-    this._emitChanged();
+  // All glyph outlines placed at their pen positions
+  commands() {
+    this.layout();
+    const out = [];
+    for (const m of this.glyphs) out.push(...translateCommands(copyCommands(m.path.commands), m.x, 0));
+    return out;
   }
-  undo() {
-    if (this.undoStack.length > 1) {
-      this.redoStack.push(this.undoStack.pop());
-      this._load(this.undoStack[this.undoStack.length - 1]);
+
+  // The word posed at time t of the timeline; glyphs without keys stay as they are
+  commandsAt(t, ease = false) {
+    let x = 0, prev = null;
+    const out = [];
+    for (const m of this.glyphs) {
+      x += kerning(prev, m);
+      const pose = m.poseAt(t, ease);
+      const cmds = pose ? m.build(pose.params, { ...m.layers, random: pose.random }) : copyCommands(m.path.commands);
+      out.push(...translateCommands(cmds, x, 0));
+      x += m.advanceWidth(pose?.params);
+      prev = m;
     }
+    return out;
   }
-  redo() {
-    if (this.redoStack.length) {
-      const s = this.redoStack.pop();
-      this.undoStack.push(s);
-      this._load(s);
+
+  // Index of the glyph whose outline box contains a word-space point, or -1
+  glyphAt(x, y) {
+    for (let i = 0; i < this.glyphs.length; i++) {
+      const m = this.glyphs[i], bb = m.bbox();
+      if (x >= m.x + bb.x && x <= m.x + bb.x + bb.w && y >= bb.y && y <= bb.y + bb.h) return i;
     }
+    return -1;
   }
 
-  bbox() { return bboxOf(this.path.commands); }
-  _emitChanged() { window.dispatchEvent(new Event('modelChanged')); }
+  bbox() { return bboxOf(this.commands()); }
+}
+
+// Kerning between two neighbouring glyph models, in path units
+function kerning(prev, m) {
+  if (!prev || !font || !prev.glyph || !m.glyph) return 0;
+  return font.getKerningValue(prev.glyph, m.glyph) * GLYPH_SIZE / font.unitsPerEm;
 }
 
 /* =================== EDITOR (left canvas) =================== */
 class Editor {
   constructor() {
     this.cam = { x: 0, y: 0, z: 1 };
-    this.dragMode = null;      // 'canvas' or point ref
+    this.dragMode = null;      // 'canvas', 'marquee', 'lsb', 'rsb' or point ref
     this.dragOff = { x: 0, y: 0 };
     this.selected = [];        // [{index, type}]
+    this.shiftClick = null;    // Shift-press on a point: {ref, x, y}, toggled on release unless it became a drag
     this.hover = null;
-    this.view = { wire: true, fill: false, grid: false, lock: false };
+    this.view = { wire: true, fill: false, grid: false, lock: false, issues: true, metrics: true, snapMetrics: true,
+                  onion: false, ref2: false, trace: true, gridSize: 50, smartSnap: true, keepAngle: false };
+    this.issues = [];          // validateOutline() result for the active glyph
+    this.marquee = null;       // rubber-band rectangle in glyph coordinates
+    this.clipboard = null;     // copied contours, source-space commands
+    this.pen = false;          // click empty canvas to draw a new contour
+    this.penStart = null;      // command index of the M of the contour being drawn
+    this.lsbDrag = null;       // x of the left sidebearing line while it is dragged
+    this.guideDrag = null;     // index of the guide being dragged
+    this.dragStart = null;     // where the dragged point was when the drag began
+    this.toolPreview = null;   // { tool, commands, changed }: a Cleanup tool's result before it is applied
+    this.snap = [];            // what the current drag snapped to, for highlighting: [{axis, v, at, guide}]
+    this.pointer = { x: 0, y: 0 }; // last pointer position in canvas pixels
+    this.touches = new Map();  // pointerId -> position, for touch pinch and pan
+    this.pinch = null;         // { d, x, y } of the two touches while pinching
+    this.lastTap = null;       // { t, x, y } of the last release, for double taps
+    this.tracing = null;       // { img, opacity, x, y, scale }: image under the active letter, x/y in font units
+    this._ref2 = null;         // cached outline of the active letter in the second font
     this._initCam = false;
     this._lastEditorArea = { x: UI_W + 10, y: 10, w: width - (UI_W + PREVIEW_W + 30), h: height - 20 };
   }
@@ -276,15 +281,32 @@ class Editor {
     translate(area.x + area.w / 2 + this.cam.x, area.y + area.h / 2 + this.cam.y);
     scale(this.cam.z);
 
-    // grid
-    if (this.view.grid) {
-      stroke(0, 20); strokeWeight(1 / this.cam.z);
-      for (let x = -2000; x <= 2000; x += 10) line(x, -2000, x, 2000);
-      for (let y = -2000; y <= 2000; y += 10) line(-2000, y, 2000, y);
+    if (this.view.trace) this.drawTracing();
+
+    const v = this.visibleRect(area);
+    if (this.view.grid) this.drawGrid(v);
+
+    if (this.view.metrics) this.drawMetricLines();
+
+    // other letters of the word, dimmed
+    const ctx = drawingContext;
+    for (const m of word.glyphs) {
+      if (m === glyphModel) continue;
+      ctx.save();
+      ctx.translate(m.x, 0);
+      canvasDrawCommands(ctx, m.path.commands);
+      ctx.fillStyle = 'rgba(0,0,0,0.12)';
+      ctx.fill('evenodd');
+      ctx.restore();
     }
 
+    // the active letter sits at its pen position
+    translate(glyphModel.x, 0);
+    this.drawReferences();
+    this.drawGuides({ ...v, x0: v.x0 - glyphModel.x, x1: v.x1 - glyphModel.x });
+    if (this.view.metrics) this.drawSidebearings();
+
     // --- GLYPH SHAPE WITH HOLES (Canvas 2D + even-odd) ---
-    const ctx = drawingContext;
     ctx.save();
     canvasDrawCommands(ctx, glyphModel.path.commands);
 
@@ -301,11 +323,195 @@ class Editor {
     }
     ctx.restore();
 
+    // structural effects (stencil, inline...) are drawn but not edited: show the
+    // outline the handles belong to as well
+    if (glyphModel.editPath.commands !== glyphModel.path.commands) {
+      ctx.save();
+      canvasDrawCommands(ctx, glyphModel.editPath.commands);
+      ctx.setLineDash([4 / this.cam.z, 3 / this.cam.z]);
+      ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+      ctx.lineWidth = 1 / this.cam.z;
+      ctx.stroke();
+      ctx.restore();
+    }
+
     // Handles on top (p5 primitives)
-    if (this.view.wire) this.drawHandles(glyphModel.path.commands);
+    if (this.view.wire) this.drawHandles(glyphModel.editPath.commands);
+    if (this.view.issues) this.drawIssues(glyphModel.editPath.commands);
+    this.drawSnaps({ ...v, x0: v.x0 - glyphModel.x, x1: v.x1 - glyphModel.x });
+    if (this.toolPreview) this.drawToolPreview(this.toolPreview.commands);
+
+    if (this.marquee) {
+      push();
+      const r = this.marquee;
+      stroke(0, 120, 255); strokeWeight(1 / this.cam.z); fill(0, 120, 255, 30);
+      rectMode(CORNERS);
+      rect(r.x0, r.y0, r.x1, r.y1);
+      pop();
+    }
 
     pop();        // end world transform
     clipPop();    // end clip
+
+    push();
+    fill(0, 120); noStroke(); textAlign(LEFT, BOTTOM); textSize(10);
+    text(`Zoom ${Math.round(this.zoomPercent())}%`, area.x + 8, area.y + area.h - 6);
+    pop();
+  }
+
+  // World-space rectangle the editor area shows
+  visibleRect(area) {
+    const z = this.cam.z;
+    return {
+      x0: (-area.w / 2 - this.cam.x) / z, x1: (area.w / 2 - this.cam.x) / z,
+      y0: (-area.h / 2 - this.cam.y) / z, y1: (area.h / 2 - this.cam.y) / z
+    };
+  }
+
+  // Grid lines every gridSize font units from the active letter's origin, hidden when
+  // they would be closer than 4 px
+  gridStep() { return Math.max(1, this.view.gridSize) * fontUnit(); }
+  drawGrid(v) {
+    const g = this.gridStep(), ox = glyphModel.x;
+    if (g * this.cam.z < 4) return;
+    stroke(0, 20); strokeWeight(1 / this.cam.z);
+    for (let x = Math.ceil((v.x0 - ox) / g) * g + ox; x <= v.x1; x += g) line(x, v.y0, x, v.y1);
+    for (let y = Math.ceil(v.y0 / g) * g; y <= v.y1; y += g) line(v.x0, y, v.x1, y);
+  }
+
+  // Guides of the active letter across the view, magenta while dragged or snapped to
+  drawGuides(v) {
+    push();
+    strokeWeight(1 / this.cam.z);
+    glyphModel.guides.forEach((g, i) => {
+      const hot = i === this.guideDrag || this.snap.some(s => s.guide === i);
+      stroke(hot ? color(230, 0, 160) : color(0, 170, 220, 170));
+      if (g.axis === 'x') line(g.pos, v.y0, g.pos, v.y1);
+      else line(v.x0, g.pos, v.x1, g.pos);
+    });
+    pop();
+  }
+
+  // What the dragged point snapped to: a line to the point that set it, or the whole metric line
+  drawSnaps(v) {
+    if (!this.snap.length || !this.dragMode?.type) return;
+    const p = this.getPoint(this.dragMode);
+    push();
+    stroke(230, 0, 160); strokeWeight(1 / this.cam.z); noFill();
+    for (const s of this.snap) {
+      if (s.at) {
+        line(s.at.x, s.at.y, p.x, p.y);
+        ellipse(s.at.x, s.at.y, 9 / this.cam.z, 9 / this.cam.z);
+      } else if (s.guide === undefined) {
+        if (s.axis === 'x') line(s.v, v.y0, s.v, v.y1);
+        else line(v.x0, s.v, v.x1, s.v);
+      }
+    }
+    pop();
+  }
+
+  // A Cleanup tool's result over the glyph, in green with its anchors
+  drawToolPreview(cmds) {
+    const ctx = drawingContext;
+    ctx.save();
+    canvasDrawCommands(ctx, cmds);
+    ctx.strokeStyle = 'rgba(20,160,70,0.9)';
+    ctx.lineWidth = 2 / this.cam.z;
+    ctx.stroke();
+    ctx.restore();
+    push();
+    noStroke(); fill(20, 160, 70);
+    for (const c of cmds) if (c.type !== 'Z') ellipse(c.x, c.y, 6 / this.cam.z, 6 / this.cam.z);
+    pop();
+  }
+
+  // Reference layers, never edited or exported: the source outline before any edit
+  // (onion skin) and the same letter in the second font
+  drawReferences() {
+    const ctx = drawingContext;
+    const layers = [];
+    if (this.view.onion) layers.push([glyphModel.originalPath.commands, '255,120,0']);
+    if (this.view.ref2 && this.secondOutline()) layers.push([this.secondOutline(), '0,150,136']);
+    for (const [cmds, rgb] of layers) {
+      ctx.save();
+      canvasDrawCommands(ctx, cmds);
+      ctx.fillStyle = `rgba(${rgb},0.1)`;
+      ctx.fill('evenodd');
+      ctx.strokeStyle = `rgba(${rgb},0.6)`;
+      ctx.lineWidth = 1 / this.cam.z;
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  // The active letter in the second font, cached per font and letter
+  secondOutline() {
+    if (!font2) return null;
+    const c = this._ref2;
+    if (!c || c.font !== font2 || c.char !== glyphModel.char || c.coords !== font2.variation?.coords) {
+      const g = font2.charToGlyph(glyphModel.char);
+      this._ref2 = { font: font2, char: glyphModel.char, coords: font2.variation?.coords, cmds: g?.index ? glyphOutline(font2, g).commands : null };
+    }
+    return this._ref2.cmds;
+  }
+
+  // Scan or sketch to trace; one em tall at scale 1, bottom left corner at (x, y)
+  drawTracing() {
+    const t = this.tracing;
+    if (!t) return;
+    const ctx = drawingContext;
+    const h = GLYPH_SIZE * t.scale, w = h * t.img.width / t.img.height;
+    ctx.save();
+    ctx.globalAlpha = t.opacity;
+    ctx.drawImage(t.img, glyphModel.x + t.x * fontUnit(), -t.y * fontUnit() - h, w, h);
+    ctx.restore();
+  }
+
+  // Ascender, cap height, x-height, baseline and descender across the word
+  drawMetricLines() {
+    const M = fontMetrics();
+    push();
+    strokeWeight(1 / this.cam.z);
+    noStroke(); fill(0, 110); textSize(9 / this.cam.z); textAlign(RIGHT, BOTTOM);
+    for (const name in M) text(name, -4 / this.cam.z, M[name] - 2 / this.cam.z);
+    for (const name in M) {
+      stroke(name === 'baseline' ? color(0, 90) : color(0, 120, 255, 70));
+      line(-4000, M[name], 4000, M[name]);
+    }
+    pop();
+  }
+
+  // Origin and advance lines of the active glyph, with the sidebearings in font units
+  drawSidebearings() {
+    const [top, bottom] = this.sidebearingSpan();
+    const adv = glyphModel.advanceWidth(), sb = glyphModel.sidebearings();
+    const x0 = this.lsbDrag ?? 0;
+    const left = sb.left - x0;
+    push();
+    stroke(220, 60, 60, 140); strokeWeight(1 / this.cam.z);
+    line(x0, top, x0, bottom);
+    line(adv, top, adv, bottom);
+    noStroke(); fill(220, 60, 60); textSize(10 / this.cam.z);
+    textAlign(LEFT, TOP);  text(Math.round(left / fontUnit()), x0 + 3 / this.cam.z, 3 / this.cam.z);
+    textAlign(RIGHT, TOP); text(Math.round(sb.right / fontUnit()), adv - 3 / this.cam.z, 3 / this.cam.z);
+    pop();
+  }
+
+  // Vertical extent of the sidebearing lines
+  sidebearingSpan() {
+    const M = fontMetrics();
+    return [Math.min(M.ascender ?? -GLYPH_SIZE, -GLYPH_SIZE), Math.max(M.descender ?? 0, GLYPH_SIZE * 0.25)];
+  }
+
+  // 'lsb' or 'rsb' when a glyph-space point is on one of the sidebearing lines
+  sidebearingHit(mx, my, hit = 5) {
+    if (!this.view.metrics) return null;
+    const [top, bottom] = this.sidebearingSpan();
+    if (my < top || my > bottom) return null;
+    const r = hit / this.cam.z;
+    if (Math.abs(mx - glyphModel.advanceWidth()) < r) return 'rsb';
+    if (Math.abs(mx) < r) return 'lsb';
+    return null;
   }
 
   drawHandles(cmds) {
@@ -330,6 +536,28 @@ class Editor {
     }
   }
 
+  // Outline problems: the contour in orange for direction, a ring at everything else
+  drawIssues(cmds) {
+    const ctx = drawingContext;
+    const contours = contoursOf(cmds);
+    push();
+    noFill(); strokeWeight(2 / this.cam.z);
+    for (const is of this.issues) {
+      const col = ISSUE_KINDS[is.kind]?.color || '#e00';
+      if (is.kind === 'direction' && contours[is.contour]) {
+        const ct = contours[is.contour];
+        ctx.save();
+        canvasDrawCommands(ctx, cmds.slice(ct.start, ct.end + 1));
+        ctx.strokeStyle = col; ctx.lineWidth = 3 / this.cam.z;
+        ctx.stroke();
+        ctx.restore();
+      }
+      stroke(col);
+      ellipse(is.x, is.y, 16 / this.cam.z, 16 / this.cam.z);
+    }
+    pop();
+  }
+
   drawAnchor(x, y, idx, type) {
     const sel = this.selected.some(s => s.index === idx && s.type === type);
     const hov = this.hover && this.hover.index === idx && this.hover.type === type;
@@ -350,16 +578,130 @@ class Editor {
     pop();
   }
 
+  // Pointer events drive editing, so mouse, pen and touch share one path. The p5 mouse
+  // callbacks are not used for the editor: they would see every pointer twice.
+  listen(elt) {
+    elt.style.touchAction = 'none';
+    const pos = (e) => {
+      const r = elt.getBoundingClientRect();
+      return { x: (e.clientX - r.left) * width / r.width, y: (e.clientY - r.top) * height / r.height };
+    };
+    elt.addEventListener('pointerdown', (e) => {
+      this.pointer = pos(e);
+      if (!this.pointerIn(this._lastEditorArea)) return;
+      elt.setPointerCapture(e.pointerId);
+      // only captured touches are counted: their up or cancel is sure to come back here
+      if (e.pointerType === 'touch') {
+        this.touches.set(e.pointerId, this.pointer);
+        if (this.touches.size === 2) { this.startPinch(); return; }
+        if (this.touches.size > 2) return;
+      }
+      if (e.button === 1) { this.dragMode = 'canvas'; this.dragOff = { ...this.pointer }; return; } // middle button pans
+      if (e.button !== 0) return;
+      const tap = this.lastTap;
+      if (tap && e.timeStamp - tap.t < 350 && Math.hypot(this.pointer.x - tap.x, this.pointer.y - tap.y) < 10) {
+        this.lastTap = null;
+        this.doubleClicked();
+        return;
+      }
+      this.mousePressed();
+    });
+    elt.addEventListener('pointermove', (e) => {
+      this.pointer = pos(e);
+      if (e.pointerType === 'touch' && this.touches.has(e.pointerId)) {
+        this.touches.set(e.pointerId, this.pointer);
+        if (this.pinch) { this.movePinch(); return; }
+      }
+      if (this.dragMode) this.mouseDragged();
+      else if (e.pointerType !== 'touch') this.mouseMoved();
+    });
+    const up = (e) => {
+      this.pointer = pos(e);
+      this.touches.delete(e.pointerId);
+      if (this.pinch) {
+        // lifting a finger ends the pinch; the other one does nothing until it lifts too
+        if (this.touches.size < 2) this.pinch = null;
+        return;
+      }
+      if (!this.dragMode) return;
+      this.mouseReleased();
+      this.lastTap = e.type === 'pointerup' ? { t: e.timeStamp, ...this.pointer } : null;
+    };
+    elt.addEventListener('pointerup', up);
+    elt.addEventListener('pointercancel', up);
+    elt.addEventListener('lostpointercapture', (e) => {
+      if (this.touches.delete(e.pointerId) && this.touches.size < 2) this.pinch = null;
+    });
+    elt.addEventListener('wheel', (e) => {
+      this.pointer = pos(e);
+      if (!this.pointerIn(this._lastEditorArea)) return;
+      e.preventDefault();
+      // lines and pages to pixels; trackpad pinches arrive as Ctrl+wheel with small steps
+      const dy = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? height : 1);
+      this.zoomAt(this.pointer.x, this.pointer.y, Math.pow(2, -dy / (e.ctrlKey ? 100 : 500)));
+    }, { passive: false });
+  }
+
+  pointerIn(r) {
+    const p = this.pointer;
+    return p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
+  }
+
+  // Two fingers: the distance between them zooms, their midpoint pans
+  startPinch() {
+    // a point drag started by the first finger ends where it is
+    this.shiftClick = null;
+    if (this.dragMode) this.mouseReleased();
+    const [a, b] = [...this.touches.values()];
+    this.pinch = { d: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    this.lastTap = null;
+  }
+  movePinch() {
+    const [a, b] = [...this.touches.values()];
+    const p = { d: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    this.cam.x += p.x - this.pinch.x;
+    this.cam.y += p.y - this.pinch.y;
+    if (this.pinch.d > 0) this.zoomAt(p.x, p.y, p.d / this.pinch.d);
+    this.pinch = p;
+    redraw();
+  }
+
+  // Zoom is shown in pixels per font unit, 100% is one pixel per unit like font editors
+  zoomPercent() { return this.cam.z * fontUnit() * 100; }
+
+  // Scale the view around a canvas position, keeping the point under it in place
+  zoomAt(sx, sy, factor) {
+    const a = this._lastEditorArea;
+    const ox = a.x + a.w / 2 + this.cam.x, oy = a.y + a.h / 2 + this.cam.y;
+    const z = constrain(this.cam.z * factor, 0.02 / fontUnit(), 64 / fontUnit());
+    const k = z / this.cam.z;
+    this.cam.x += (sx - ox) * (1 - k);
+    this.cam.y += (sy - oy) * (1 - k);
+    this.cam.z = z;
+    redraw();
+  }
+  zoomBy(factor) {
+    const a = this._lastEditorArea;
+    this.zoomAt(a.x + a.w / 2, a.y + a.h / 2, factor);
+  }
+  zoomActual() { this.zoomBy(100 / this.zoomPercent()); }
+
   // Interaction helpers
   worldMouse(area) {
     return {
-      x: (mouseX - (area.x + area.w / 2) - this.cam.x) / this.cam.z,
-      y: (mouseY - (area.y + area.h / 2) - this.cam.y) / this.cam.z
+      x: (this.pointer.x - (area.x + area.w / 2) - this.cam.x) / this.cam.z,
+      y: (this.pointer.y - (area.y + area.h / 2) - this.cam.y) / this.cam.z
     };
   }
 
+  // Mouse in the active glyph's own coordinates
+  localMouse(area) {
+    const m = this.worldMouse(area);
+    return { x: m.x - glyphModel.x, y: m.y };
+  }
+
   pointHit(mx, my, hit = 10) {
-    const cmds = glyphModel.path.commands;
+    const cmds = glyphModel.editPath.commands;
     const r = hit / this.cam.z;
     for (let i = cmds.length - 1; i >= 0; i--) {
       const c = cmds[i];
@@ -374,115 +716,376 @@ class Editor {
     return null;
   }
 
+  // Nearest segment under the mouse: { index, t }, index of the command that ends
+  // the segment (a Z stands for the implicit closing line)
+  segmentHit(mx, my, hit = 6) {
+    const cmds = glyphModel.editPath.commands;
+    let best = null, bestD = hit / this.cam.z;
+    let start = null, prev = null;
+    for (let i = 0; i < cmds.length; i++) {
+      const c = cmds[i];
+      if (c.type === 'M') { start = prev = c; continue; }
+      if (!prev) continue;
+      const seg = c.type === 'Z' ? { type: 'L', x: start.x, y: start.y } : c;
+      for (let k = 1; k < 50; k++) {
+        const p = segPoint(prev, seg, k / 50);
+        const d = Math.hypot(p.x - mx, p.y - my);
+        if (d < bestD) { bestD = d; best = { index: i, t: k / 50 }; }
+      }
+      prev = c.type === 'Z' ? null : c;
+    }
+    return best;
+  }
+
   mousePressed() {
-    if (!mouseInRect(this._lastEditorArea)) return;
-    const m = this.worldMouse(this._lastEditorArea);
+    if (!this.pointerIn(this._lastEditorArea)) return;
+    const m = this.localMouse(this._lastEditorArea);
     const t = this.pointHit(m.x, m.y);
-
-    if (t) {
+    const seg = !t && keyIsDown(ALT) ? this.segmentHit(m.x, m.y) : null;
+    const sb = !t && !this.pen ? this.sidebearingHit(m.x, m.y) : null;
+    const gd = !t && !sb && !seg && !this.pen ? this.guideHit(m.x, m.y) : -1;
+
+    if (t && this.pen && t.type === 'anchor' && t.index === this.penStart) {
+      // pen: clicking the first point closes the contour
+      glyphModel.closeContour();
+      this.penStart = null;
+      this.selected = [];
+    } else if (t) {
       this.dragMode = t;
       const p = this.getPoint(t);
       this.dragOff = { x: p.x - m.x, y: p.y - m.y };
+      this.dragStart = p;
       const isSel = this.selected.some(s => s.index === t.index && s.type === t.type);
-      if (keyIsDown(SHIFT)) {
-        if (isSel) this.selected = this.selected.filter(s => !(s.index === t.index && s.type === t.type));
-        else this.selected.push(t);
-      } else if (!isSel) {
-        this.selected = [t];
-      }
+      // Shift also constrains a drag, so the selection only toggles once it is clear this is a click
+      if (keyIsDown(SHIFT)) this.shiftClick = { ref: t, x: this.pointer.x, y: this.pointer.y };
+      else if (!isSel) this.selected = [t];
+    } else if (sb) {
+      // drag a sidebearing line; the left one is applied on release
+      this.dragMode = sb;
+      if (sb === 'lsb') this.lsbDrag = 0;
+    } else if (gd !== -1) {
+      this.dragMode = 'guide';
+      this.guideDrag = gd;
+    } else if (this.pen) {
+      // pen: each click on empty canvas adds a point, the first one starts a contour
+      const start = this.penStart === null;
+      glyphModel.appendPoint(m.x, m.y, start);
+      const last = glyphModel.editPath.commands.length - 1;
+      if (start) this.penStart = last;
+      this.selected = [{ index: last, type: 'anchor' }];
+    } else if (seg) {
+      // Alt-click on a segment inserts a point there
+      glyphModel.insertPoint(seg.index, seg.t);
+      this.selected = [];
+    } else if (keyIsDown(SHIFT)) {
+      // Shift-drag on empty canvas: rubber-band selection, added to the current one
+      this.dragMode = 'marquee';
+      this.marquee = { x0: m.x, y0: m.y, x1: m.x, y1: m.y };
     } else {
+      // clicking another letter of the word makes it the active one
+      const w = this.worldMouse(this._lastEditorArea);
+      const gi = word.glyphAt(w.x, w.y);
+      if (gi !== -1 && gi !== word.active) word.setActive(gi);
       this.selected = [];
       this.dragMode = 'canvas';
-      this.dragOff = { x: mouseX, y: mouseY };
+      this.dragOff = { x: this.pointer.x, y: this.pointer.y };
     }
     redraw();
   }
 
   mouseDragged() {
     if (!this.dragMode) return;
+    if (this.dragMode === 'marquee') {
+      const m = this.localMouse(this._lastEditorArea);
+      this.marquee.x1 = m.x; this.marquee.y1 = m.y;
+      redraw();
+      return;
+    }
     if (this.dragMode === 'canvas') {
-      this.cam.x += mouseX - this.dragOff.x;
-      this.cam.y += mouseY - this.dragOff.y;
-      this.dragOff = { x: mouseX, y: mouseY };
+      this.cam.x += this.pointer.x - this.dragOff.x;
+      this.cam.y += this.pointer.y - this.dragOff.y;
+      this.dragOff = { x: this.pointer.x, y: this.pointer.y };
       redraw();
       return;
     }
-    const m = this.worldMouse(this._lastEditorArea);
-    let nx = m.x + this.dragOff.x;
-    let ny = m.y + this.dragOff.y;
-    if (this.view.grid) { nx = round(nx / 10) * 10; ny = round(ny / 10) * 10; }
+    const m = this.localMouse(this._lastEditorArea);
+    if (this.dragMode === 'lsb') { this.lsbDrag = m.x; redraw(); return; }
+    if (this.dragMode === 'rsb') {
+      glyphModel.setSidebearings(null, glyphModel.sidebearings().right + m.x - glyphModel.advanceWidth(), false);
+      return;
+    }
+    if (this.dragMode === 'guide') {
+      const g = glyphModel.guides[this.guideDrag];
+      const t = this.snapTo(this.snapTargets(new Set(), new Set(), this.guideDrag)[g.axis], g.axis === 'x' ? m.x : m.y);
+      this.snap = t ? [{ axis: g.axis, ...t }] : [];
+      glyphModel.moveGuide(this.guideDrag, t ? t.v : g.axis === 'x' ? m.x : m.y, false);
+      return;
+    }
+    if (this.shiftClick) {
+      // a Shift-click until the pointer has moved a few pixels
+      if (Math.hypot(this.pointer.x - this.shiftClick.x, this.pointer.y - this.shiftClick.y) < 4) return;
+      this.shiftClick = null;
+    }
+    const { x: nx, y: ny } = this.dragTarget(m.x + this.dragOff.x, m.y + this.dragOff.y);
 
     const ref = this.getPoint(this.dragMode);
-    const dx = nx - ref.x, dy = ny - ref.y;
-    this.selected.forEach(sel => {
-      const o = this.getPoint(sel);
-      this.setPoint(sel, o.x + dx, o.y + dy, this.view.lock);
-    });
+    glyphModel.movePoints(this.draggedRefs(), nx - ref.x, ny - ref.y, this.view.lock);
     redraw();
   }
 
   mouseReleased() {
-    if (this.dragMode && this.dragMode !== 'canvas') glyphModel.saveState();
+    this.snap = [];
+    if (this.shiftClick) {
+      // Shift-click without moving: the point joins or leaves the selection
+      const t = this.shiftClick.ref, same = (s) => s.index === t.index && s.type === t.type;
+      this.shiftClick = null;
+      this.selected = this.selected.some(same) ? this.selected.filter(s => !same(s)) : [...this.selected, t];
+      redraw();
+    } else if (this.dragMode === 'marquee') {
+      for (const ref of this.pointsIn(this.marquee)) {
+        if (!this.selected.some(s => s.index === ref.index && s.type === ref.type)) this.selected.push(ref);
+      }
+      this.marquee = null;
+      redraw();
+    } else if (this.dragMode === 'lsb') {
+      // the line becomes the new origin; the camera follows so the outline stays put
+      const dx = this.lsbDrag;
+      this.lsbDrag = null;
+      if (dx) {
+        glyphModel.setSidebearings(glyphModel.sidebearings().left - dx, null);
+        this.cam.x += dx * this.cam.z;
+      }
+      redraw();
+    } else if (this.dragMode === 'guide') {
+      // dropped outside the editor: the guide goes
+      const i = this.guideDrag;
+      this.guideDrag = null;
+      if (this.pointerIn(this._lastEditorArea)) glyphModel.moveGuide(i, glyphModel.guides[i].pos);
+      else glyphModel.removeGuide(i);
+    } else if (this.dragMode === 'rsb') {
+      glyphModel.saveState('Right sidebearing');
+    } else if (this.dragMode && this.dragMode !== 'canvas') {
+      const n = this.draggedRefs().length;
+      glyphModel.saveState(`Move ${n} point${n === 1 ? '' : 's'}`);
+    }
     this.dragMode = null;
   }
 
+  // Points a point drag moves: the selection, plus the grabbed point when a Shift-drag
+  // started on one outside it
+  draggedRefs() {
+    const t = this.dragMode;
+    return this.selected.some(s => s.index === t.index && s.type === t.type) ? this.selected : [...this.selected, t];
+  }
+
+  // Anchors and handles inside a rectangle (glyph coordinates)
+  pointsIn(r) {
+    const x0 = Math.min(r.x0, r.x1), x1 = Math.max(r.x0, r.x1);
+    const y0 = Math.min(r.y0, r.y1), y1 = Math.max(r.y0, r.y1);
+    const inside = (x, y) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+    const out = [];
+    glyphModel.editPath.commands.forEach((c, i) => {
+      if (c.type === 'Z') return;
+      if (inside(c.x, c.y)) out.push({ index: i, type: 'anchor' });
+      if (c.type === 'C') {
+        if (inside(c.x1, c.y1)) out.push({ index: i, type: 'c1' });
+        if (inside(c.x2, c.y2)) out.push({ index: i, type: 'c2' });
+      } else if (c.type === 'Q' && inside(c.x1, c.y1)) {
+        out.push({ index: i, type: 'q' });
+      }
+    });
+    return out;
+  }
+
+  // Double-click a point or segment: select its whole contour
+  doubleClicked() {
+    if (!this.pointerIn(this._lastEditorArea) || this.pen) return;
+    const m = this.localMouse(this._lastEditorArea);
+    const hit = this.pointHit(m.x, m.y) || this.segmentHit(m.x, m.y);
+    if (!hit) return;
+    const ct = contoursOf(glyphModel.editPath.commands).find(c => hit.index >= c.start && hit.index <= c.end);
+    if (ct) this.selected = this.anchorsOf(ct.start, ct.end);
+    redraw();
+  }
+
+  anchorsOf(from, to) {
+    const out = [];
+    const cmds = glyphModel.editPath.commands;
+    for (let i = from; i <= to && i < cmds.length; i++) if (cmds[i].type !== 'Z') out.push({ index: i, type: 'anchor' });
+    return out;
+  }
+
+  selectAll() { this.selected = this.anchorsOf(0, glyphModel.editPath.commands.length - 1); }
+
+  // Arrow keys: 1 font unit, 10 with Shift
+  nudge(dx, dy) {
+    if (!this.selected.length) return;
+    const u = (keyIsDown(SHIFT) ? 10 : 1) * fontUnit();
+    glyphModel.movePoints(this.selected, dx * u, dy * u, this.view.lock);
+    const n = this.selected.length;
+    glyphModel.saveState(`Nudge ${n} point${n === 1 ? '' : 's'}`);
+  }
+
+  // Copy takes every contour that has a selected point
+  copySelected() {
+    if (!this.selected.length) return false;
+    this.clipboard = glyphModel.contourCommands(this.selected.map(s => s.index));
+    return true;
+  }
+  paste(dx = 0, dy = 0) {
+    if (!this.clipboard?.length) return;
+    const start = glyphModel.appendContours(this.clipboard, dx, dy);
+    this.selected = this.anchorsOf(start, glyphModel.editPath.commands.length - 1);
+  }
+  duplicateSelected() {
+    if (this.copySelected()) this.paste(10 * fontUnit(), 10 * fontUnit());
+  }
+
   mouseMoved() {
-    const m = this.worldMouse(this._lastEditorArea);
-    this.hover = mouseInRect(this._lastEditorArea) ? this.pointHit(m.x, m.y) : null;
+    const m = this.localMouse(this._lastEditorArea);
+    this.hover = this.pointerIn(this._lastEditorArea) ? this.pointHit(m.x, m.y) : null;
+    let cur = ARROW;
+    if (!this.hover && this.pointerIn(this._lastEditorArea)) {
+      const gi = this.guideHit(m.x, m.y);
+      if (this.sidebearingHit(m.x, m.y)) cur = 'ew-resize';
+      else if (gi !== -1) cur = glyphModel.guides[gi].axis === 'x' ? 'ew-resize' : 'ns-resize';
+    }
+    cursor(cur);
     redraw();
   }
 
-  getPoint(ref) {
-    const c = glyphModel.path.commands[ref.index];
-    if (ref.type === 'anchor') return { x: c.x, y: c.y };
-    if (ref.type === 'c1')    return { x: c.x1, y: c.y1 };
-    if (ref.type === 'c2')    return { x: c.x2, y: c.y2 };
-    if (ref.type === 'q')     return { x: c.x1, y: c.y1 };
-    return { x: 0, y: 0 };
+  // Where a dragged point goes. Shift keeps it on a horizontal, vertical or 45° line
+  // from where it started (a handle from its anchor), Keep handle angles slides a handle
+  // along its own direction. The axes left free snap to metrics, guides, other anchors
+  // and curve extrema within a few pixels, or else round to the grid.
+  dragTarget(x, y) {
+    const ref = this.dragMode, o = this.dragStart;
+    const anchor = ref.type === 'anchor' ? null : this.handleAnchor(ref);
+    let dir = null;
+    if (anchor && this.view.keepAngle && dist(o.x, o.y, anchor.x, anchor.y) > 1e-6) {
+      dir = { o: anchor, a: Math.atan2(o.y - anchor.y, o.x - anchor.x) };
+    } else if (keyIsDown(SHIFT)) {
+      const from = anchor || o;
+      dir = { o: from, a: Math.round(Math.atan2(y - from.y, x - from.x) / QUARTER_PI) * QUARTER_PI };
+    }
+    let free = ['x', 'y'];
+    if (dir) {
+      const c = Math.cos(dir.a), s = Math.sin(dir.a), len = (x - dir.o.x) * c + (y - dir.o.y) * s;
+      x = dir.o.x + len * c; y = dir.o.y + len * s;
+      free = Math.abs(s) < 1e-9 ? ['x'] : Math.abs(c) < 1e-9 ? ['y'] : [];
+    }
+
+    const p = { x, y }, step = this.gridStep();
+    const refs = this.draggedRefs();
+    const moving = new Set(refs.map(r => r.index));
+    const targets = this.snapTargets(moving, new Set(refs.filter(r => r.type === 'anchor').map(r => r.index)));
+    this.snap = [];
+    for (const k of free) {
+      const t = this.snapTo(targets[k], p[k]);
+      if (t) { p[k] = t.v; this.snap.push({ axis: k, ...t }); }
+      else if (this.view.grid) p[k] = Math.round(p[k] / step) * step;
+    }
+    return p;
   }
 
-  setPoint(ref, x, y, lockCollinear) {
-    const cmds = glyphModel.path.commands;
-    const c = cmds[ref.index];
-    if (ref.type === 'anchor') {
-      const dx = x - c.x, dy = y - c.y;
-      c.x = x; c.y = y;
-      if (c.type === 'C') { c.x2 += dx; c.y2 += dy; }
-      const ni = this.nextCurve(ref.index);
-      if (ni !== -1) { cmds[ni].x1 += dx; cmds[ni].y1 += dy; }
-      return;
+  // Anchor a handle hangs from: the previous point for c1 and q, its own point for c2
+  handleAnchor(ref) {
+    const cmds = glyphModel.editPath.commands;
+    const c = ref.type === 'c2' ? cmds[ref.index] : cmds[ref.index - 1];
+    return c && c.type !== 'Z' ? { x: c.x, y: c.y } : null;
+  }
+
+  // Lines a drag can snap to, per axis: [{v, at, guide}], `at` being the point that sets
+  // the line. The anchors in `anchors` and the curves the commands in `moving` bend are left
+  // out; a guide drag passes neither, the selection stays something to snap to.
+  snapTargets(moving, anchors, skipGuide = -1) {
+    const T = { x: [], y: [] };
+    if (this.view.metrics && this.view.snapMetrics) {
+      for (const v of Object.values(fontMetrics())) T.y.push({ v });
+      T.x.push({ v: 0 }, { v: glyphModel.advanceWidth() });
     }
-    if (ref.type === 'c1') { c.x1 = x; c.y1 = y; }
-    else if (ref.type === 'c2') { c.x2 = x; c.y2 = y; }
-    else if (ref.type === 'q') { c.x1 = x; c.y1 = y; }
-
-    if (lockCollinear && (ref.type === 'c1' || ref.type === 'c2')) {
-      let anchor, opp;
-      if (ref.type === 'c2') {
-        anchor = c;
-        const ni = this.nextCurve(ref.index);
-        if (ni !== -1) opp = { cmd: cmds[ni], key: 'c1' };
-      } else if (ref.type === 'c1') {
-        const pi = this.prevCurve(ref.index);
-        if (pi !== -1) { anchor = cmds[pi]; opp = { cmd: cmds[pi], key: 'c2' }; }
-      }
-      if (anchor && opp) {
-        const ax = anchor.x, ay = anchor.y;
-        const dx = x - ax, dy = y - ay;
-        const ol = dist(ax, ay, opp.key === 'c1' ? opp.cmd.x1 : opp.cmd.x2, opp.key === 'c1' ? opp.cmd.y1 : opp.cmd.y2);
-        const len = Math.hypot(dx, dy) || 1;
-        const nx = ax - dx / len * ol, ny = ay - dy / len * ol;
-        if (opp.key === 'c1') { opp.cmd.x1 = nx; opp.cmd.y1 = ny; }
-        else { opp.cmd.x2 = nx; opp.cmd.y2 = ny; }
+    if (!this.view.smartSnap) return T;
+    glyphModel.guides.forEach((g, i) => { if (i !== skipGuide) T[g.axis].push({ v: g.pos, guide: i }); });
+    const cmds = glyphModel.editPath.commands;
+    let prev = null;
+    cmds.forEach((c, i) => {
+      if (c.type === 'Z') { prev = null; return; }
+      const pts = anchors.has(i) ? [] : [{ x: c.x, y: c.y }];
+      if (prev && (c.type === 'C' || c.type === 'Q') && !moving.has(i) && !moving.has(i - 1)) {
+        for (const t of segmentExtrema(prev, c)) pts.push(segPoint(prev, c, t));
       }
+      for (const at of pts) { T.x.push({ v: at.x, at }); T.y.push({ v: at.y, at }); }
+      prev = c;
+    });
+    return T;
+  }
+
+  // Nearest target within a few pixels of v, or null
+  snapTo(targets, v, hit = 6) {
+    let best = null, bestD = hit / this.cam.z;
+    for (const t of targets) {
+      const d = Math.abs(t.v - v);
+      if (d < bestD) { bestD = d; best = t; }
     }
+    return best;
+  }
+
+  // Index of the guide within a few pixels of a glyph-space point, or -1
+  guideHit(mx, my, hit = 4) {
+    const r = hit / this.cam.z;
+    return glyphModel.guides.findIndex(g => Math.abs((g.axis === 'x' ? mx : my) - g.pos) < r);
+  }
+
+  // New guide through the first selected point, or across the middle of the view
+  addGuide(axis) {
+    const p = this.selected.length ? this.getPoint(this.selected[0]) : { x: -this.cam.x / this.cam.z - glyphModel.x, y: -this.cam.y / this.cam.z };
+    glyphModel.addGuide(axis, p[axis]);
   }
 
-  prevCurve(i) { for (let k = i; k >= 0; k--) if (glyphModel.path.commands[k].type === 'C') return k; return -1; }
-  nextCurve(i) { for (let k = i + 1; k < glyphModel.path.commands.length; k++) if (glyphModel.path.commands[k].type === 'C') return k; return -1; }
+  setPen(on) {
+    this.pen = on;
+    this.penStart = null;
+  }
+
+  // Structure edits on the selection, each one undo step
+  selectedAnchors() {
+    return [...new Set(this.selected.filter(s => s.type === 'anchor').map(s => s.index))];
+  }
+  deleteSelected() {
+    const a = this.selectedAnchors();
+    if (!a.length) return;
+    glyphModel.deletePoints(a);
+    this.selected = [];
+  }
+  toggleSelected() {
+    const a = this.selectedAnchors();
+    if (!a.length) return;
+    glyphModel.toggleSegments(a);
+    this.selected = [];
+  }
+  reverseSelected() {
+    if (!this.selected.length) return;
+    glyphModel.reverseContours(this.selected.map(s => s.index));
+    this.selected = [];
+  }
+
+  booleanSelected(op) {
+    const ok = glyphModel.booleanOp(op, this.selected.map(s => s.index));
+    if (!ok && op !== 'removeOverlap') alert('Select points on at least two contours (the last one picked is the tool).');
+    this.selected = [];
+  }
+
+  getPoint(ref) {
+    const c = glyphModel.editPath.commands[ref.index];
+    if (ref.type === 'anchor') return { x: c.x, y: c.y };
+    if (ref.type === 'c1')    return { x: c.x1, y: c.y1 };
+    if (ref.type === 'c2')    return { x: c.x2, y: c.y2 };
+    if (ref.type === 'q')     return { x: c.x1, y: c.y1 };
+    return { x: 0, y: 0 };
+  }
 
   fitTo(area) {
-    const bb = glyphModel.bbox();
+    const bb = word.bbox();
     if (bb.w <= 0 || bb.h <= 0) return;
     const pad = 50;
     const sx = (area.w - pad * 2) / bb.w;
@@ -513,8 +1116,10 @@ class Preview {
     const px = cx - sq / 2, py = cy - sq / 2;
     stroke(204); fill(255); rect(px, py, sq, sq, 8);
 
-    // draw glyph
-    const bb = glyphModel.bbox();
+    // draw the word, or its animation framed by the box of every key
+    const anim = timeline.showing();
+    const cmds = anim ? word.commandsAt(timeline.time, timeline.ease) : word.commands();
+    const bb = anim ? timeline.bounds() : bboxOf(cmds);
     if (bb.w > 0 && bb.h > 0) {
       push();
       let scaleTo = (50 / bb.h) * this.zoom; // ~50 px tall at zoom=1
@@ -531,19 +1136,9 @@ class Preview {
 
       const ctx = drawingContext;
       ctx.save();
-      canvasDrawCommands(ctx, glyphModel.path.commands);
-      // weight approximation: stroke on top if non-zero
-      const w = glyphModel.params.weight;
+      canvasDrawCommands(ctx, cmds);
       ctx.fillStyle = '#000';
-      if (w !== 0) {
-        ctx.lineJoin = 'round';
-        ctx.lineWidth = Math.abs(w);
-        ctx.strokeStyle = '#000';
-      } else {
-        ctx.lineWidth = 0;
-      }
       ctx.fill('evenodd');
-      if (w !== 0) ctx.stroke();
       ctx.restore();
 
       pop();
@@ -552,6 +1147,419 @@ class Preview {
   }
 }
 
+/* =================== TIMELINE (keyframed params) =================== */
+// One playhead for the whole word; every glyph keeps its own keys (GlyphModel.keys).
+class Timeline {
+  constructor() {
+    this.time = 0;          // seconds
+    this.duration = 2;
+    this.fps = 24;
+    this.ease = true;       // ease in and out between keys
+    this.preview = true;    // show the animation in the Live Preview
+    this.playing = false;
+    this._bounds = null;
+    window.addEventListener('modelChanged', () => { this._bounds = null; });
+  }
+
+  hasKeys() { return word.glyphs.some(m => m.keys.length); }
+  showing() { return this.preview && this.hasKeys(); }
+
+  setTime(t) {
+    this.time = constrain(t, 0, this.duration);
+    ui.syncTimeline();
+    redraw();
+  }
+
+  play(on = !this.playing) {
+    this.playing = on;
+    if (on) loop(); else noLoop();
+    ui.syncTimeline();
+  }
+  tick() {
+    if (!this.playing) return;
+    this.time = (this.time + deltaTime / 1000) % this.duration;
+    ui.syncTimeline();
+  }
+
+  // Start of every frame, end excluded so the sequence loops
+  frameTimes(closed = false) {
+    const n = Math.max(1, Math.round(this.duration * this.fps));
+    return Array.from({ length: n + (closed ? 1 : 0) }, (_, i) => i * this.duration / n);
+  }
+
+  // Box around the word at every key time and both ends, so the preview does not jump
+  bounds() {
+    if (this._bounds) return this._bounds;
+    const times = new Set([0, this.duration]);
+    for (const m of word.glyphs) for (const k of m.keys) times.add(k.t);
+    const cmds = [];
+    for (const t of times) cmds.push(...word.commandsAt(t, this.ease));
+    return (this._bounds = bboxOf(cmds));
+  }
+
+  toJSON() { return { time: this.time, duration: this.duration, fps: this.fps, ease: this.ease, preview: this.preview }; }
+  loadJSON(d = {}) {
+    Object.assign(this, { time: 0, duration: 2, fps: 24, ease: true, preview: true }, d);
+    this._bounds = null;
+  }
+}
+
+/* =================== SEED GALLERY =================== */
+// Thumbnails of the active glyph for a page of seeds, built with GlyphModel.randomLayer
+// and the current Randomness settings (the same code as Surprise Me). Pinned seeds
+// stay in a row on top for comparison.
+class SeedGallery {
+  constructor() {
+    this.perPage = 24;
+    this.first = 1;     // seed of the first thumbnail on the page
+    this.pins = [];
+    this.root = null;   // the floating panel while open
+    window.addEventListener('modelChanged', () => this.refresh());
+  }
+
+  isOpen() { return !!this.root; }
+  toggle() { this.isOpen() ? this.close() : this.open(); }
+
+  open() {
+    if (this.root) return;
+    this.first = Math.max(0, parseInt(ui.seed.value() || '1', 10));
+    const a = editor._lastEditorArea;
+    this.root = createDiv().style(`
+      position:fixed; left:${a.x}px; top:${a.y}px; width:${a.w}px; max-height:${a.h}px; overflow:auto;
+      background:#fff; border:1px solid #ddd; border-radius:8px; box-shadow:0 4px 15px rgba(0,0,0,.12);
+      padding:12px; font-size:12px; box-sizing:border-box;`);
+    const head = createDiv().parent(this.root).style('display:flex; gap:6px; align-items:center; margin-bottom:8px;');
+    createElement('strong', 'Seed Explorer').parent(head).style('flex:1;');
+    this.range = createSpan('').parent(head).style('color:#777;');
+    const btn = (t, fn) => createButton(t).parent(head).style('padding:4px 10px;').mousePressed(fn);
+    btn('‹ Prev', () => { this.first = Math.max(0, this.first - this.perPage); this.render(); });
+    btn('Next ›', () => { this.first += this.perPage; this.render(); });
+    btn('Close', () => this.close());
+    this.pinRow = createDiv().parent(this.root);
+    this.grid = createDiv().parent(this.root).style('display:grid; grid-template-columns:repeat(auto-fill, minmax(100px, 1fr)); gap:8px;');
+    this.render();
+  }
+
+  close() {
+    if (!this.root) return;
+    this.root.remove();
+    this.root = null;
+  }
+
+  // Redraw shortly after the glyph or the settings change
+  refresh() {
+    if (!this.root) return;
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.render(), 150);
+  }
+
+  render() {
+    if (!this.root) return;
+    const seeds = Array.from({ length: this.perPage }, (_, i) => this.first + i);
+    const frame = this.frame();
+    this.range.html(`Seeds ${seeds[0]}–${seeds[seeds.length - 1]}`);
+    this.pinRow.html('');
+    if (this.pins.length) {
+      createDiv('Pinned').parent(this.pinRow).style('color:#777; margin-bottom:4px;');
+      const row = createDiv().parent(this.pinRow).style('display:flex; flex-wrap:wrap; gap:8px; margin-bottom:10px; padding-bottom:10px; border-bottom:1px solid #eee;');
+      for (const seed of this.pins) this.thumb(row, seed, 150, frame);
+    }
+    this.grid.html('');
+    for (const seed of seeds) this.thumb(this.grid, seed, 100, frame);
+  }
+
+  // Box shared by every thumbnail: the glyph grown by the amount, so sizes compare
+  frame() {
+    const bb = glyphModel.bbox(), pad = ui.randomOptions().amount;
+    return { x: bb.x - pad, y: bb.y - pad, w: bb.w + pad * 2, h: bb.h + pad * 2 };
+  }
+
+  thumb(parent, seed, size, frame) {
+    const current = String(seed) === String(ui.seed.value());
+    const cell = createDiv().parent(parent).style(`
+      position:relative; cursor:pointer; text-align:center; border-radius:6px; padding:4px;
+      border:2px solid ${current ? '#007bff' : '#eee'};`);
+    const cv = createElement('canvas').parent(cell).style(`width:${size}px; height:${size}px; max-width:100%;`);
+    const d = window.devicePixelRatio || 1;
+    cv.elt.width = size * d; cv.elt.height = size * d;
+    const ctx = cv.elt.getContext('2d');
+    const random = glyphModel.randomLayer(seed, ui.randomOptions());
+    const cmds = glyphModel.build(glyphModel.params, { ...glyphModel.layers, random });
+    const k = size * d / Math.max(frame.w, frame.h);
+    ctx.setTransform(k, 0, 0, k, (size * d - frame.w * k) / 2 - frame.x * k, (size * d - frame.h * k) / 2 - frame.y * k);
+    canvasDrawCommands(ctx, cmds);
+    ctx.fillStyle = '#000';
+    ctx.fill('evenodd');
+    createDiv(String(seed)).parent(cell).style('color:#555;');
+    const pinned = this.pins.includes(seed);
+    const pin = createSpan(pinned ? '★' : '☆').parent(cell).attribute('title', pinned ? 'Unpin' : 'Pin')
+      .style(`position:absolute; top:2px; right:6px; font-size:16px; color:${pinned ? '#f5a623' : '#bbb'};`);
+    pin.elt.addEventListener('click', (e) => { e.stopPropagation(); this.togglePin(seed); });
+    cell.elt.addEventListener('click', () => this.apply(seed));
+  }
+
+  apply(seed) {
+    ui.seed.value(seed);
+    ui.surprise();
+  }
+
+  togglePin(seed) {
+    this.pins = this.pins.includes(seed) ? this.pins.filter(s => s !== seed) : [...this.pins, seed];
+    this.render();
+    scheduleAutosave();
+  }
+}
+
+/* =================== EXPORT DIALOG (PNG / PDF) =================== */
+// The word alone, without the editor around it: a PNG at a pixel height or a font size
+// and DPI, or a vector PDF. Sizes and padding are in the chosen unit (px or pt).
+class ExportDialog {
+  constructor() {
+    this.opts = { format: 'png', unit: 'px', size: 1000, dpi: 300, pad: 40, fill: '#000000', background: '#ffffff', transparent: true };
+    this.root = null;   // the floating panel while open
+  }
+
+  isOpen() { return !!this.root; }
+  toggle() { this.isOpen() ? this.close() : this.open(); }
+
+  open() {
+    if (this.root) return;
+    const a = editor._lastEditorArea, o = this.opts;
+    this.root = createDiv().style(`
+      position:fixed; left:${a.x}px; top:${a.y}px; width:300px;
+      background:#fff; border:1px solid #ddd; border-radius:8px; box-shadow:0 4px 15px rgba(0,0,0,.12);
+      padding:12px; font-size:12px; box-sizing:border-box;`);
+    createElement('strong', 'Export Image').parent(this.root).style('display:block; margin-bottom:8px;');
+    const row = (label) => {
+      const r = createDiv().parent(this.root).style('display:flex; gap:6px; align-items:center; margin:6px 0;');
+      createSpan(label).parent(r).style('width:80px;');
+      return r;
+    };
+    const select = (r, key, options) => {
+      const s = createSelect().parent(r).style('flex:1; padding:4px;');
+      for (const [label, v] of options) s.option(label, v);
+      s.selected(o[key]);
+      s.changed(() => { o[key] = s.value(); this.update(); });
+      return s;
+    };
+    const number = (r, key) => {
+      const i = createInput(String(o[key]), 'number').parent(r).style('flex:1; padding:4px; min-width:0;');
+      i.input(() => { const v = parseFloat(i.value()); if (isFinite(v) && v >= 0) o[key] = v; this.update(); });
+      return i;
+    };
+    const colour = (r, key) => {
+      const c = createColorPicker(o[key]).parent(r).style('width:40px;');
+      c.input(() => { o[key] = c.value(); });
+      return c;
+    };
+    select(row('Format'), 'format', [['PNG', 'png'], ['PDF (vector)', 'pdf']]);
+    const sr = row('Size');
+    number(sr, 'size');
+    select(sr, 'unit', [['px image height', 'px'], ['pt font size', 'pt']]);
+    this.dpiRow = row('DPI');
+    number(this.dpiRow, 'dpi');
+    number(row('Padding'), 'pad');
+    colour(row('Colour'), 'fill');
+    const br = row('Background');
+    colour(br, 'background');
+    const t = createCheckbox(' Transparent', o.transparent).parent(br);
+    t.changed(() => { o.transparent = t.checked(); });
+    this.info = createDiv('').parent(this.root).style('color:#777; margin:8px 0;');
+    const btns = createDiv().parent(this.root).style('display:flex; gap:6px;');
+    createButton('Export').parent(btns).style('flex:1; padding:6px; background:#007bff; color:#fff; border:none; border-radius:4px;').mousePressed(() => this.export());
+    createButton('Close').parent(btns).style('padding:6px 10px;').mousePressed(() => this.close());
+    this.update();
+  }
+
+  close() {
+    if (!this.root) return;
+    this.root.remove();
+    this.root = null;
+  }
+
+  // Output geometry: k output units (px, or pt for PDF) per path unit, the padding and the page
+  measure(cmds) {
+    const o = this.opts, bb = bboxOf(cmds);
+    const perPt = o.format === 'pdf' ? 1 : o.dpi / 72;  // output units per point
+    const pad = o.unit === 'pt' ? o.pad * perPt : o.pad;
+    const k = o.unit === 'pt' ? o.size / GLYPH_SIZE * perPt : Math.max(o.size - pad * 2, 1) / (bb.h || 1);
+    return { bb, k, pad, w: bb.w * k + pad * 2, h: bb.h * k + pad * 2 };
+  }
+
+  update() {
+    if (!this.root) return;
+    const o = this.opts, m = this.measure(word.commands());
+    this.dpiRow.style('display', o.format === 'png' ? 'flex' : 'none');
+    const mm = (v) => (v * 25.4 / 72).toFixed(1);
+    this.info.html(o.format === 'pdf'
+      ? `${Math.round(m.w)} × ${Math.round(m.h)} pt (${mm(m.w)} × ${mm(m.h)} mm)`
+      : `${Math.ceil(m.w)} × ${Math.ceil(m.h)} px at ${o.dpi} DPI`);
+  }
+
+  export() {
+    if (!word?.glyphs.length) return;
+    if (typeof saveAs !== 'function') { alert('FileSaver not available'); return; }
+    let cmds = word.commands();
+    if (ui.cleanExport.checked()) cmds = cleanOutline(cmds);
+    const o = this.opts, m = this.measure(cmds), name = `${fileSafe(word.text)}_playground`;
+    if (!(m.bb.w > 0 && m.bb.h > 0)) { alert('Nothing to export'); return; }
+    if (o.format === 'pdf') {
+      const pdf = pdfDocument(cmds, { scale: m.k, pad: m.pad, fill: o.fill, background: o.transparent ? null : o.background });
+      saveAs(new Blob([pdf], {type:'application/pdf'}), `${name}.pdf`);
+      return;
+    }
+    const W = Math.ceil(m.w), H = Math.ceil(m.h);
+    if (W > 16384 || H > 16384 || W * H > 2.5e8) { alert(`${W} × ${H} px is more than the browser can draw, pick a smaller size`); return; }
+    const g = createGraphics(W, H);
+    g.pixelDensity(1);
+    const ctx = g.drawingContext;
+    if (!o.transparent) { ctx.fillStyle = o.background; ctx.fillRect(0, 0, W, H); }
+    ctx.setTransform(m.k, 0, 0, m.k, m.pad - m.bb.x * m.k, m.pad - m.bb.y * m.k);
+    canvasDrawCommands(ctx, cmds);
+    ctx.fillStyle = o.fill;
+    ctx.fill('evenodd');
+    const png = pngWithDPI(base64ToBuffer(g.elt.toDataURL('image/png').split(',')[1]), o.dpi);
+    g.remove();
+    saveAs(new Blob([png], {type:'image/png'}), `${name}.png`);
+  }
+}
+
+/* =================== HISTORY PANEL =================== */
+// Every step of the active glyph's history with a thumbnail, parents first. A step made
+// after undoing starts a branch, indented under the step it came from; steps off the way
+// to the current one are greyed. Click a step to go there, ✎ to give it a name.
+class HistoryPanel {
+  constructor() {
+    this.root = null;     // the floating panel while open
+    this.thumbs = new WeakMap(); // model -> { key, cmds: Map('id:time' of a step -> commands) }
+    window.addEventListener('modelChanged', () => this.refresh());
+  }
+
+  isOpen() { return !!this.root; }
+  toggle() { this.isOpen() ? this.close() : this.open(); }
+
+  open() {
+    if (this.root) return;
+    const a = editor._lastEditorArea, w = 250;
+    this.root = createDiv().style(`
+      position:fixed; left:${a.x + a.w - w}px; top:${a.y}px; width:${w}px; max-height:${a.h}px; overflow:auto;
+      background:#fff; border:1px solid #ddd; border-radius:8px; box-shadow:0 4px 15px rgba(0,0,0,.12);
+      padding:12px; font-size:12px; box-sizing:border-box;`);
+    const head = createDiv().parent(this.root).style('display:flex; gap:6px; align-items:center; margin-bottom:8px;');
+    createElement('strong', 'History').parent(head).style('flex:1;');
+    this.count = createSpan('').parent(head).style('color:#777;');
+    createButton('Close').parent(head).style('padding:4px 10px;').mousePressed(() => this.close());
+    this.list = createDiv().parent(this.root);
+    this.sig = null;
+    this.render();
+  }
+
+  close() {
+    if (!this.root) return;
+    clearTimeout(this._draw);
+    this.root.remove();
+    this.root = null;
+  }
+
+  // Redraw shortly after a change, when the history itself changed
+  refresh() {
+    if (!this.root) return;
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => { if (this.signature() !== this.sig) this.render(); }, 150);
+  }
+
+  signature() {
+    const H = glyphModel?.history;
+    if (!H) return '';
+    const S = H.steps, top = S[H.head];
+    return [word.active, glyphModel.char, H.root, H.head, H.next, H.epoch, top.label, top.time, Object.values(S).map(s => s.name || '').join('|')].join(':');
+  }
+
+  render() {
+    if (!this.root) return;
+    clearTimeout(this._draw);
+    this.list.html('');
+    this.sig = this.signature();
+    const m = glyphModel, H = m?.history;
+    if (!H) { this.count.html(''); return; }
+    const S = H.steps, kids = m.stepChildren();
+    // the way from the root to the current step and on along redo
+    const live = new Set();
+    for (let a = H.head; a !== -1; a = S[a].parent) live.add(a);
+    for (let a = S[H.head].last; a !== undefined; a = S[a].last) live.add(a);
+    const depth = { [H.root]: 0 };
+    const cache = this.cache(m), todo = [];
+    let current = null, n = 0;
+    m.eachStep((id, state, step) => {
+      n++;
+      for (const [k, c] of (kids[id] || []).entries()) depth[c] = depth[id] + (k ? 1 : 0);
+      const branch = step.parent !== -1 && kids[step.parent][0] !== id;
+      const row = createDiv().parent(this.list).style(`
+        display:flex; gap:6px; align-items:center; cursor:pointer; padding:3px 4px; margin-left:${depth[id] * 12}px;
+        border-radius:4px; border:1px solid ${id === H.head ? '#007bff' : 'transparent'};
+        background:${id === H.head ? '#eef5ff' : 'none'}; color:${live.has(id) ? '#222' : '#999'};`);
+      if (branch) createSpan('↳').parent(row).style('color:#999;');
+      const cv = createElement('canvas').parent(row).style('width:32px; height:32px; flex:none;');
+      const key = `${id}:${step.time}`; // merged slider steps keep their id
+      cache.canvases.set(key, cv);
+      if (cache.cmds.has(key)) this.drawThumb(cv, cache.cmds.get(key));
+      else todo.push([key, copyCommands(state)]);
+      const text = createDiv().parent(row).style('flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;');
+      if (step.name) {
+        createElement('b', step.name).parent(text).style('display:block; overflow:hidden; text-overflow:ellipsis;');
+        createSpan(step.label).parent(text).style('color:#999;');
+      } else text.html(step.label);
+      const pen = createSpan('✎').parent(row).attribute('title', 'Name this step').style('color:#bbb; padding:0 2px;');
+      pen.elt.addEventListener('click', (e) => { e.stopPropagation(); this.rename(id); });
+      row.elt.addEventListener('click', () => { m.goTo(id); redraw(); });
+      if (id === H.head) current = row;
+    });
+    this.count.html(`${n} step${n === 1 ? '' : 's'}`);
+    current?.elt.scrollIntoView({ block: 'nearest' });
+    this.drawLater(m, cache, todo);
+  }
+
+  // Thumbnails are built a few at a time, so a long history opens at once
+  drawLater(m, cache, todo) {
+    if (!todo.length) return;
+    const batch = todo.splice(0, 8);
+    for (const [key, state] of batch) {
+      const cmds = m.dryRun(c => c._setState(state)).model.path.commands;
+      cache.cmds.set(key, cmds);
+      this.drawThumb(cache.canvases.get(key), cmds);
+    }
+    this._draw = setTimeout(() => this.drawLater(m, cache, todo), 0);
+  }
+
+  // Built thumbnails of a model, kept until its recorded states or the fonts change
+  cache(m) {
+    const key = `${m.history.epoch || 0}:${font?.variation ? JSON.stringify(font.variation.coords) : ''}:${!!font2}`;
+    let c = this.thumbs.get(m);
+    if (!c || c.key !== key) this.thumbs.set(m, c = { key, cmds: new Map() });
+    c.canvases = new Map(); // of the rows on screen
+    return c;
+  }
+
+  // Every thumbnail in the same box, one em tall, so sizes compare
+  drawThumb(cv, cmds) {
+    const size = 32, d = window.devicePixelRatio || 1;
+    cv.elt.width = size * d; cv.elt.height = size * d;
+    const ctx = cv.elt.getContext('2d');
+    const bb = glyphModel.bbox(), k = size * d / (GLYPH_SIZE * 1.2);
+    ctx.setTransform(k, 0, 0, k, size * d / 2 - (bb.x + bb.w / 2) * k, size * d / 2 - (bb.y + bb.h / 2) * k);
+    canvasDrawCommands(ctx, cmds);
+    ctx.fillStyle = '#000';
+    ctx.fill('evenodd');
+  }
+
+  rename(id) {
+    const step = glyphModel.history.steps[id];
+    const name = prompt('Name for this step (empty to clear)', step.name || step.label);
+    if (name === null) return;
+    glyphModel.nameStep(id, name.trim() === step.label ? '' : name.trim());
+  }
+}
+
 /* =================== UI (left floating panel) =================== */
 class UI {
   constructor() {
@@ -566,23 +1574,63 @@ class UI {
 
     const H = (t)=> createElement('h3', t).parent(this.panel).style('margin:6px 0 8px 0; font-size:13px; color:#444;');
 
-    // Character & Font
-    H('Character & Font');
-    this.charInput = createInput('A').parent(this.panel).attribute('maxlength','1').style('width:100%; padding:6px;');
+    // Text & Font
+    H('Text & Font');
+    this.charInput = createInput('A').parent(this.panel).attribute('placeholder','Letter or word').style('width:100%; padding:6px;');
     this.fileInput = createFileInput(this.onFile.bind(this), false).parent(this.panel).style('width:100%; margin-top:6px;');
+    createSpan('Import SVG into the current letter (or paste one):').parent(this.panel).style('display:block; margin-top:6px;');
+    this.svgInput = createFileInput(this.onSVGFile.bind(this), false).parent(this.panel).style('width:100%; margin-top:4px;');
+
+    // Variable font axes, shown when the font has any
+    this.axesBox = createDiv().parent(this.panel);
+    this.buildAxesUI();
 
     // Transform
-    H('Transform');
-    this.width = this.makeSlider('Width', 0.1, 3, 1, 0.01);
-    this.height = this.makeSlider('Height', 0.1, 3, 1, 0.01);
-    this.weight = this.makeSlider('Weight', -50, 100, 0, 1);
-    this.slant  = this.makeSlider('Slant', -1, 1, 0, 0.01);
-    this.round  = this.makeSlider('Roundness', 0, 1, 0, 0.01);
+    H('Effects');
+    createSpan('Applied top to bottom').parent(this.panel).style('display:block; color:#777;');
+    this.effectsBox = createDiv().parent(this.panel);
+    this.paramSliders = {};     // param key -> makeSlider() result, for readouts
+
+    // Interpolate
+    H('Interpolate');
+    createSpan('Second font:').parent(this.panel).style('display:block;');
+    this.fileInput2 = createFileInput((f)=> this.onFile(f, true), false).parent(this.panel).style('width:100%; margin-top:4px;');
+    this.mix = this.makeSlider('Mix', 0, 1, 0, 0.01);
+    this.mixStatus = createDiv('').parent(this.panel).style('color:#777; white-space:pre-line;');
 
     // Random
     H('Randomness');
     this.seed = createInput('42', 'number').parent(this.panel).style('width:100%; padding:6px;');
-    this.randBtn = this.makeBtn('Surprise Me', () => glyphModel.randomize(parseInt(this.seed.value()||'42',10)));
+    this.amount = this.makeSlider('Amount', 0, 60, RANDOM_DEFAULTS.amount, 1);
+    const rr = createDiv().parent(this.panel).style('display:flex; gap:6px;');
+    this.noiseMode = createSelect().parent(rr).style('width:50%; padding:4px;');
+    this.noiseMode.option('Uniform', 'uniform'); this.noiseMode.option('Smooth', 'smooth');
+    this.scope = createSelect().parent(rr).style('width:50%; padding:4px;');
+    this.scope.option('All points', 'all'); this.scope.option('Anchors only', 'anchors');
+    this.scope.option('Handles only', 'handles'); this.scope.option('Selected points', 'selection');
+    this.keepTangents = this.makeChk('Keep smooth curves smooth', RANDOM_DEFAULTS.keepTangents);
+    const gr = createDiv().parent(this.panel).style('display:flex; gap:6px;');
+    this.randBtn = this.makeBtn('Surprise Me', () => this.surprise(), true).parent(gr);
+    this.galleryBtn = this.makeBtn('Explore Seeds (E)', () => gallery.toggle(), true).parent(gr);
+
+    // Animation
+    H('Animation');
+    this.time = this.makeSlider('Time (s)', 0, 2, 0, 0.01, (v)=> timeline.setTime(v));
+    const kr = createDiv().parent(this.panel).style('display:flex; gap:6px;');
+    this.addKey = this.makeBtn('Set Key (K)', ()=> this.setKey(), true).parent(kr);
+    this.delKey = this.makeBtn('Delete Key', ()=> glyphModel.deleteKey(timeline.time), true).parent(kr);
+    this.playBtn = this.makeBtn('Play (Space)', ()=> timeline.play());
+    this.keyList = createDiv('').parent(this.panel).style('color:#777; margin-top:4px;');
+    const tr = createDiv().parent(this.panel).style('display:flex; gap:6px; align-items:center; margin-top:6px;');
+    createSpan('Length').parent(tr);
+    this.duration = createInput('2', 'number').parent(tr).attribute('min','0.1').attribute('step','0.1').style('width:60px; padding:4px;');
+    createSpan('s, fps').parent(tr);
+    this.fps = createInput('24', 'number').parent(tr).attribute('min','1').style('width:50px; padding:4px;');
+    this.ease = this.makeChk('Ease in/out', true);
+    this.animPreview = this.makeChk('Play in Live Preview', true);
+    const ar = createDiv().parent(this.panel).style('display:flex; gap:6px;');
+    this.framesBtn = this.makeBtn('PNG Frames', ()=> this.exportFrames(), true).parent(ar);
+    this.animSvgBtn = this.makeBtn('Animated SVG', ()=> this.exportAnimatedSVG(), true).parent(ar);
 
     // History
     H('History');
@@ -590,72 +1638,394 @@ class UI {
     this.undo = this.makeBtn('Undo (Z)', () => glyphModel.undo(), true).parent(row);
     this.redo = this.makeBtn('Redo (Y)', () => glyphModel.redo(), true).parent(row);
     this.reset = this.makeBtn('Reset Glyph', () => { glyphModel.reset(); this.syncFromModel(); });
+    this.historyBtn = this.makeBtn('History Panel (H)', () => historyPanel.toggle());
+
+    // Points
+    H('Points');
+    createSpan('Alt-click a segment to add a point').parent(this.panel).style('display:block; color:#777;');
+    const pr = createDiv().parent(this.panel).style('display:flex; gap:6px;');
+    this.delPt = this.makeBtn('Delete (Del)', ()=> { editor.deleteSelected(); redraw(); }, true).parent(pr);
+    this.segType = this.makeBtn('Line/Curve (T)', ()=> { editor.toggleSelected(); redraw(); }, true).parent(pr);
+    this.reverse = this.makeBtn('Reverse Contour (V)', ()=> { editor.reverseSelected(); redraw(); });
+    this.pen = this.makeChk('Pen, click to draw a contour (P)', false);
+
+    // Path operations
+    H('Path Operations');
+    createSpan('Work on the contours of the selected points').parent(this.panel).style('display:block; color:#777;');
+    const br = createDiv().parent(this.panel).style('display:flex; flex-wrap:wrap; gap:0 6px;');
+    this.unionBtn = this.makeBtn('Union', ()=> { editor.booleanSelected('union'); redraw(); }, true).parent(br);
+    this.subBtn = this.makeBtn('Subtract', ()=> { editor.booleanSelected('subtract'); redraw(); }, true).parent(br);
+    this.interBtn = this.makeBtn('Intersect', ()=> { editor.booleanSelected('intersect'); redraw(); }, true).parent(br);
+    this.overlapBtn = this.makeBtn('Remove Overlap', ()=> { editor.booleanSelected('removeOverlap'); redraw(); }, true).parent(br);
+
+    // Cleanup
+    H('Cleanup');
+    createSpan('Simplify and Add Extrema work on the contours of the selected points, Smooth on the selected points; with nothing selected, the whole glyph (Smooth: only slight kinks)').parent(this.panel).style('display:block; color:#777;');
+    this.tolerance = this.makeSlider('Simplify tolerance (font units)', 1, 40, 5, 1, ()=> { if (this.editor.toolPreview?.tool === 'simplify') this.previewTool('simplify'); });
+    const cr = createDiv().parent(this.panel).style('display:flex; flex-wrap:wrap; gap:0 6px;');
+    this.simplifyBtn = this.makeBtn('Simplify', ()=> this.previewTool('simplify'), true).parent(cr);
+    this.extremaBtn = this.makeBtn('Add Extrema', ()=> this.previewTool('extrema'), true).parent(cr);
+    this.smoothBtn = this.makeBtn('Smooth', ()=> this.previewTool('smooth'), true).parent(cr);
+    this.toolBox = createDiv().parent(this.panel).style('display:none; margin-top:6px; padding:6px; background:#f3fbf5; border-radius:4px;');
+    this.toolInfo = createDiv('').parent(this.toolBox);
+    const ta = createDiv().parent(this.toolBox).style('display:flex; gap:6px;');
+    this.makeBtn('Apply (Enter)', ()=> this.applyTool(), true).parent(ta);
+    this.makeBtn('Cancel (Esc)', ()=> this.cancelTool(), true).parent(ta);
+
+    // Metrics
+    H('Metrics');
+    this.showMetrics = this.makeChk('Metric lines and sidebearings (M)', true);
+    this.snapMetrics = this.makeChk('Snap points to metrics', true);
+    createSpan('Sidebearings in font units, or drag the red lines').parent(this.panel).style('display:block; color:#777;');
+    const sr = createDiv().parent(this.panel).style('display:flex; gap:6px; margin-top:4px;');
+    this.lsb = createInput('0', 'number').parent(sr).attribute('title','Left sidebearing').style('width:50%; padding:6px;');
+    this.rsb = createInput('0', 'number').parent(sr).attribute('title','Right sidebearing').style('width:50%; padding:6px;');
+
+    // Guides and snapping
+    H('Guides & Snapping');
+    createSpan('New guides go through the selected point or the middle of the view; drag one off the editor to remove it').parent(this.panel).style('display:block; color:#777;');
+    const gdr = createDiv().parent(this.panel).style('display:flex; gap:6px;');
+    this.hGuide = this.makeBtn('+ Horizontal', ()=> editor.addGuide('y'), true).parent(gdr);
+    this.vGuide = this.makeBtn('+ Vertical', ()=> editor.addGuide('x'), true).parent(gdr);
+    this.clearGuidesBtn = this.makeBtn('Clear Guides', ()=> this.model.clearGuides());
+    this.smartSnap = this.makeChk('Snap to anchors, guides and extrema', true);
+    this.keepAngle = this.makeChk('Keep handle angles', false);
+    createSpan('Hold Shift while dragging to stay horizontal, vertical or at 45°').parent(this.panel).style('display:block; color:#777;');
+
+    // Validation
+    H('Validation');
+    this.showIssues = this.makeChk('Highlight problems', true);
+    this.issueList = createDiv().parent(this.panel).style('margin:4px 0;');
+    this.fixAll = this.makeBtn('Fix All', ()=> this.fixAllIssues());
 
     // View
     H('View & Display');
     this.wire = this.makeChk('Wireframe (W)', true);
     this.fill = this.makeChk('Fill', false);
     this.grid = this.makeChk('Snap to Grid (G)', false);
+    const gs = createDiv().parent(this.panel).style('display:flex; gap:6px; align-items:center;');
+    createSpan('Grid every').parent(gs);
+    this.gridSize = createInput('50', 'number').parent(gs).attribute('min','1').style('width:60px; padding:4px;');
+    createSpan('font units').parent(gs);
     this.lock = this.makeChk('Lock Handles (L)', false);
     this.zoom = this.makeSlider('Preview Zoom', 0.1, 5, 1, 0.01, (v)=>{ preview.zoom = v; redraw(); });
     this.fit  = this.makeBtn('Fit to View (F)', ()=>{ editor.fitTo(editor._lastEditorArea); preview.doFit = true; redraw(); });
 
+    // Reference layers
+    H('Reference Layers');
+    createSpan('Shown behind the letter, never exported').parent(this.panel).style('display:block; color:#777;');
+    this.onion = this.makeChk('Onion skin of the original (O)', false);
+    this.ref2 = this.makeChk('Same letter in the second font', false);
+    this.trace = this.makeChk('Tracing image', true);
+    this.traceInput = createFileInput(this.onTraceFile.bind(this), false).parent(this.panel).attribute('accept', 'image/*').style('width:100%; margin-top:4px;');
+    this.traceBox = createDiv().parent(this.panel).style('display:none;');
+    this.traceOpacity = this.makeSlider('Opacity', 0, 1, 0.5, 0.01, (v)=> this.setTracing({ opacity: v }), this.traceBox);
+    this.traceX = this.makeSlider('X (font units)', -1000, 1000, 0, 1, (v)=> this.setTracing({ x: v }), this.traceBox);
+    this.traceY = this.makeSlider('Y (font units)', -1000, 1000, 0, 1, (v)=> this.setTracing({ y: v }), this.traceBox);
+    this.traceScale = this.makeSlider('Scale (em)', 0.1, 4, 1, 0.01, (v)=> this.setTracing({ scale: v }), this.traceBox);
+    this.makeBtn('Remove Image', ()=> this.setTracing(null)).parent(this.traceBox);
+
     // Export
     H('Export');
     const er = createDiv().parent(this.panel).style('display:flex; gap:6px;');
     this.svg = this.makeBtn('Export SVG', ()=> this.exportSVG()).parent(er);
-    this.png = this.makeBtn('Export PNG', ()=> saveCanvas(`letter_playground_${glyphModel?.char||'A'}`, 'png')).parent(er);
+    this.png = this.makeBtn('PNG / PDF…', ()=> exportDialog.toggle()).parent(er);
+    this.familyName = createInput('').parent(this.panel).attribute('placeholder','Family name (default: <font> Playground)').style('width:100%; padding:6px; margin-top:6px;');
+    this.styleName = createInput('').parent(this.panel).attribute('placeholder','Style name (default: the font\'s)').style('width:100%; padding:6px; margin-top:6px;');
+    this.otf = this.makeBtn('Export Font (OTF)', ()=> this.exportFont());
+    this.cleanExport = this.makeChk('Remove overlap on export', true);
+
+    // Project
+    H('Project');
+    this.saveProj = this.makeBtn('Save Project', ()=> saveProjectFile());
+    createSpan('Open project:').parent(this.panel).style('display:block; margin-top:8px;');
+    this.openProj = createFileInput(this.onProjectFile.bind(this), false).parent(this.panel).style('width:100%; margin-top:4px;');
 
     // Events
-    this.charInput.input(()=> glyphModel.generate(this.charInput.value()));
-    this.width.slider.input(()=> this.paramChange('width', this.width.slider));
-    this.height.slider.input(()=> this.paramChange('height', this.height.slider));
-    this.weight.slider.input(()=> this.paramChange('weight', this.weight.slider));
-    this.slant.slider.input(()=> this.paramChange('slant', this.slant.slider));
-    this.round.slider.input(()=> this.paramChange('roundness', this.round.slider));
+    this.charInput.input(()=> word.setText(this.charInput.value()));
+    this.mix.slider.input(()=> this.paramChange('mix', this.mix.slider));
+    window.addEventListener('modelChanged', ()=> this.syncMixStatus());
+    this.amount.slider.input(()=> gallery.refresh());
+    this.noiseMode.changed(()=> gallery.refresh());
+    this.scope.changed(()=> gallery.refresh());
+    this.keepTangents.input(()=> gallery.refresh());
+    this.duration.changed(()=> { timeline.duration = Math.max(0.1, parseFloat(this.duration.value()) || 2); timeline._bounds = null; timeline.setTime(timeline.time); });
+    this.fps.changed(()=> { timeline.fps = Math.max(1, parseInt(this.fps.value(), 10) || 24); });
+    this.ease.input(()=> { timeline.ease = this.ease.checked(); timeline._bounds = null; redraw(); });
+    this.animPreview.input(()=> { timeline.preview = this.animPreview.checked(); redraw(); });
+    window.addEventListener('modelChanged', ()=> this.syncTimeline());
     this.wire.input(()=> { editor.view.wire = this.wire.checked(); redraw(); });
     this.fill.input(()=> { editor.view.fill = this.fill.checked(); redraw(); });
     this.grid.input(()=> { editor.view.grid = this.grid.checked(); redraw(); });
+    this.gridSize.changed(()=> { editor.view.gridSize = Math.max(1, parseFloat(this.gridSize.value()) || 50); this.gridSize.value(editor.view.gridSize); redraw(); });
+    this.smartSnap.input(()=> { editor.view.smartSnap = this.smartSnap.checked(); });
+    this.keepAngle.input(()=> { editor.view.keepAngle = this.keepAngle.checked(); });
     this.lock.input(()=> { editor.view.lock = this.lock.checked(); redraw(); });
+    this.onion.input(()=> { editor.view.onion = this.onion.checked(); redraw(); });
+    this.ref2.input(()=> { editor.view.ref2 = this.ref2.checked(); redraw(); });
+    this.trace.input(()=> { editor.view.trace = this.trace.checked(); redraw(); });
+    this.pen.input(()=> { editor.setPen(this.pen.checked()); redraw(); });
+    this.showIssues.input(()=> { editor.view.issues = this.showIssues.checked(); redraw(); });
+    this.showMetrics.input(()=> { editor.view.metrics = this.showMetrics.checked(); redraw(); });
+    this.snapMetrics.input(()=> { editor.view.snapMetrics = this.snapMetrics.checked(); });
+    this.lsb.changed(()=> this.model.setSidebearings(parseFloat(this.lsb.value() || '0') * fontUnit(), null));
+    this.rsb.changed(()=> this.model.setSidebearings(null, parseFloat(this.rsb.value() || '0') * fontUnit()));
+    window.addEventListener('modelChanged', ()=> this.syncSidebearings());
+    window.addEventListener('modelChanged', ()=> this.scheduleValidation());
+    window.addEventListener('modelChanged', ()=> { if (this.editor?.toolPreview) this.cancelTool(); });
   }
 
   hookModel(m, e, p) { this.model = m; this.editor = e; this.preview = p; }
 
+  // Re-check the active glyph shortly after it stops changing
+  scheduleValidation() {
+    clearTimeout(this._validateTimer);
+    this._validateTimer = setTimeout(()=> this.refreshIssues(), 150);
+  }
+  refreshIssues() {
+    if (!this.model || !this.editor) return;
+    const issues = validateOutline(this.model.editPath.commands);
+    this.editor.issues = issues;
+    this.issueList.html('');
+    if (!issues.length) createDiv('No problems found').parent(this.issueList).style('color:#2a2;');
+    for (const is of issues) {
+      const kind = ISSUE_KINDS[is.kind];
+      const row = createDiv().parent(this.issueList).style('display:flex; align-items:center; gap:6px; margin:3px 0;');
+      createSpan('●').parent(row).style(`color:${kind.color};`);
+      createSpan(is.message).parent(row).style('flex:1;');
+      if (kind.fix) {
+        createButton(kind.fix).parent(row).style('padding:2px 6px; font-size:11px; border:1px solid #007bff; background:#fff; color:#007bff; border-radius:4px;')
+          .mousePressed(()=> { kind.run(this.model, is); this.editor.selected = []; });
+      }
+    }
+    this.fixAll.style('display', issues.some(is => ISSUE_KINDS[is.kind].fix) ? 'block' : 'none');
+    redraw();
+  }
+  // Apply fixes one at a time (indices move after each), as a single undo step
+  fixAllIssues() {
+    const m = this.model;
+    m.batch(()=> {
+      const tried = new Set();
+      for (let n = 0; n < 200; n++) {
+        const is = validateOutline(m.editPath.commands).find(x => ISSUE_KINDS[x.kind].fix && !tried.has(x.kind + x.index + x.message));
+        if (!is) break;
+        tried.add(is.kind + is.index + is.message);
+        ISSUE_KINDS[is.kind].run(m, is);
+      }
+    }, 'Fix all');
+    this.editor.selected = [];
+  }
+
   syncFromModel() {
-    this.width.slider.value(this.model.params.width);
-    this.height.slider.value(this.model.params.height);
-    this.weight.slider.value(this.model.params.weight);
-    this.slant.slider.value(this.model.params.slant);
-    this.round.slider.value(this.model.params.roundness);
-    this.width.readout.html(nfc(this.model.params.width, 2));
-    this.height.readout.html(nfc(this.model.params.height, 2));
-    this.weight.readout.html(String(this.model.params.weight));
-    this.slant.readout.html(nfc(this.model.params.slant, 2));
-    this.round.readout.html(nfc(this.model.params.roundness, 2));
+    this.buildEffectsUI();
+    this.mix.slider.value(this.model.params.mix);
+    this.mix.show(this.model.params.mix);
+    this.syncSidebearings();
+    this.syncMixStatus();
   }
 
+  // One box per entry of the effect stack, sliders generated from the effect's schema
+  buildEffectsUI() {
+    const m = this.model;
+    this.effectsBox.html('');
+    this.paramSliders = { mix: this.mix };
+    const small = 'padding:0 6px; border:1px solid #ccc; background:#fff; border-radius:4px;';
+    m.effects.forEach((fx, i) => {
+      const def = EFFECTS[fx.type];
+      const card = createDiv().parent(this.effectsBox).style('border:1px solid #eee; border-radius:6px; padding:4px 6px; margin:6px 0;');
+      const head = createDiv().parent(card).style('display:flex; align-items:center; gap:4px;');
+      const on = createCheckbox(' ' + (def ? def.label : `${fx.type} (not loaded)`), fx.on).parent(head).style('flex:1;');
+      on.input(()=> m.toggleEffect(i, on.checked()));
+      for (const [txt, title, fn] of [['↑', 'Move up', ()=> m.moveEffect(i, -1)], ['↓', 'Move down', ()=> m.moveEffect(i, 1)], ['✕', 'Remove', ()=> m.removeEffect(i)]]) {
+        createButton(txt).parent(head).attribute('title', title).style(small).mousePressed(()=> { fn(); this.buildEffectsUI(); });
+      }
+      for (const f of def?.schema || []) {
+        const s = this.makeSlider(f.label, f.min, f.max, m.params[f.key], f.step, ()=> this.paramChange(f.key, s.slider), card);
+        this.paramSliders[f.key] = s;
+      }
+      if (def?.points) {
+        const row = createDiv().parent(card).style('display:flex; align-items:center; gap:4px; margin:4px 0;');
+        const only = createCheckbox(` Selected points only${fx.points ? ` (${fx.points.length})` : ''}`, !!fx.points).parent(row).style('flex:1;');
+        only.input(()=> { m.setEffectPoints(i, only.checked() ? editor.selectedAnchors() : null); this.buildEffectsUI(); });
+        if (fx.points) {
+          createButton('Use Selection').parent(row).attribute('title', 'Apply to the points selected now').style(small)
+            .mousePressed(()=> { m.setEffectPoints(i, editor.selectedAnchors()); this.buildEffectsUI(); });
+        }
+      }
+    });
+    const unused = Object.keys(EFFECTS).filter(t => !m.effects.some(fx => fx.type === t));
+    if (!unused.length) return;
+    const add = createSelect().parent(this.effectsBox).style('width:100%; padding:4px; margin-top:4px;');
+    add.option('+ Add effect…', '');
+    for (const t of unused) add.option(EFFECTS[t].label, t);
+    add.changed(()=> { if (add.value()) { m.addEffect(add.value()); this.buildEffectsUI(); } });
+  }
+
+  // Randomize the active glyph with the seed and options of the Randomness section
+  surprise() {
+    this.model.randomize(parseInt(this.seed.value() || '42', 10), this.randomOptions());
+  }
+  randomOptions() {
+    return {
+      amount: parseFloat(this.amount.slider.value()),
+      mode: this.noiseMode.value(),
+      scope: this.scope.value(),
+      refs: this.editor.selected,
+      keepTangents: this.keepTangents.checked()
+    };
+  }
+
+  setRandomOptions(o = {}) {
+    o = { ...RANDOM_DEFAULTS, ...o };
+    this.amount.slider.value(o.amount);
+    this.amount.show(o.amount);
+    this.noiseMode.selected(o.mode);
+    this.scope.selected(o.scope);
+    this.keepTangents.checked(o.keepTangents);
+  }
+
+  // Key at the playhead for the active glyph, with the seed in the Randomness field
+  setKey() {
+    glyphModel.setKey(timeline.time);
+    if (!timeline.preview) { timeline.preview = true; this.animPreview.checked(true); }
+  }
+
+  syncTimeline() {
+    if (!timeline || !this.model) return;
+    this.time.slider.attribute('max', timeline.duration);
+    this.time.slider.value(timeline.time);
+    this.time.readout.html(nfc(timeline.time, 2));
+    this.playBtn.html(timeline.playing ? 'Pause (Space)' : 'Play (Space)');
+    const keys = this.model.keys.map(k => nfc(k.t, 2) + 's');
+    this.keyList.html(keys.length ? `Keys for “${this.model.char}”: ${keys.join(', ')}` : `No keys for “${this.model.char}”`);
+  }
+
+  // Timeline settings, e.g. after opening a project
+  syncAnimation() {
+    this.duration.value(timeline.duration);
+    this.fps.value(timeline.fps);
+    this.ease.checked(timeline.ease);
+    this.animPreview.checked(timeline.preview);
+    this.syncTimeline();
+  }
+
+  // Whether the active letter can be blended, and why not
+  syncMixStatus() {
+    if (!this.model) return;
+    const mx = this.model.mixTarget();
+    if (!mx) this.mixStatus.html('Load a second font to blend toward it').style('color', '#777');
+    else if (mx.error) this.mixStatus.html(`Can't blend “${this.model.char}”:\n${mx.error}`).style('color', '#c00');
+    else this.mixStatus.html(`Blending toward ${font2.names?.fullName?.en || 'the second font'}`).style('color', '#777');
+    if (mx?.target) this.mix.slider.removeAttribute('disabled');
+    else this.mix.slider.attribute('disabled', '');
+  }
+
+  // Sidebearing fields follow the active glyph, except while one is being typed in
+  syncSidebearings() {
+    if (!this.model) return;
+    const sb = this.model.sidebearings();
+    if (document.activeElement !== this.lsb.elt) this.lsb.value(Math.round(sb.left / fontUnit()));
+    if (document.activeElement !== this.rsb.elt) this.rsb.value(Math.round(sb.right / fontUnit()));
+  }
+
+  // Returns false for keys it handled, so the browser default (scrolling, select all) is skipped
   handleKey(k) {
     if (document.activeElement && ['INPUT','TEXTAREA'].includes(document.activeElement.tagName)) return;
-    if      (k === 90) this.model.undo();        // Z
+    if (keyIsDown(CONTROL) || keyIsDown(91) || keyIsDown(93) || keyIsDown(224)) { // Ctrl or Cmd
+      if      (k === 65) this.editor.selectAll();           // A
+      else if (k === 67) this.editor.copySelected();        // C
+      // V is left to the browser, its paste event lands in onPaste()
+      else if (k === 68) this.editor.duplicateSelected();   // D
+      else if (k === 90) keyIsDown(SHIFT) ? this.model.redo() : this.model.undo(); // Z
+      else if (k === 89) this.model.redo();                 // Y
+      else return true;
+      redraw();
+      return false;
+    }
+    if      (k === LEFT_ARROW)  this.editor.nudge(-1, 0);
+    else if (k === RIGHT_ARROW) this.editor.nudge(1, 0);
+    else if (k === UP_ARROW)    this.editor.nudge(0, -1);
+    else if (k === DOWN_ARROW)  this.editor.nudge(0, 1);
+    else if (k === 90) this.model.undo();        // Z
     else if (k === 89) this.model.redo();        // Y
     else if (k === 87) { this.wire.checked(!this.wire.checked()); this.editor.view.wire = this.wire.checked(); } // W
     else if (k === 71) { this.grid.checked(!this.grid.checked()); this.editor.view.grid = this.grid.checked(); } // G
-    else if (k === 82) this.model.randomize(parseInt(this.seed.value()||'42',10)); // R
+    else if (k === 82) this.surprise();          // R
+    else if (key === '+' || key === '=') this.editor.zoomBy(1.25);  // zoom in
+    else if (key === '-' || key === '_') this.editor.zoomBy(0.8);   // zoom out
+    else if (key === '0') this.editor.zoomActual();                 // 100%: one font unit per pixel
     else if (k === 70) { this.editor.fitTo(this.editor._lastEditorArea); this.preview.doFit = true; } // F
     else if (k === 76) { this.lock.checked(!this.lock.checked()); this.editor.view.lock = this.lock.checked(); } // L
+    else if (k === 77) { this.showMetrics.checked(!this.showMetrics.checked()); this.editor.view.metrics = this.showMetrics.checked(); } // M
+    else if (k === 79) { this.onion.checked(!this.onion.checked()); this.editor.view.onion = this.onion.checked(); } // O
+    else if (k === 8 || k === 46) this.editor.deleteSelected();  // Backspace, Delete
+    else if (k === 84) this.editor.toggleSelected();             // T
+    else if (k === 86) this.editor.reverseSelected();            // V
+    else if (k === 80) { this.pen.checked(!this.pen.checked()); this.editor.setPen(this.pen.checked()); } // P
+    else if (k === 75) this.setKey();                            // K
+    else if (k === 32) timeline.play();                          // Space
+    else if (k === 69) gallery.toggle();                         // E
+    else if (k === 72) historyPanel.toggle();                    // H
+    else if (k === 27 && gallery.isOpen()) gallery.close();      // Esc
+    else if (k === 27 && exportDialog.isOpen()) exportDialog.close();
+    else if (k === 27 && historyPanel.isOpen()) historyPanel.close();
+    else if (k === 13 && this.editor.toolPreview) this.applyTool();
+    else if (k === 27 && this.editor.toolPreview) this.cancelTool();
+    else if (k === 13 || k === 27) this.editor.penStart = null;  // Enter, Esc: leave the contour open
+    else return true;
+    redraw();
+    return false;
+  }
+
+  // Cleanup tools on the active glyph (or a dry-run copy of it, see previewTool)
+  runTool(tool, m) {
+    const cmds = m.editPath.commands;
+    const sel = this.editor.selected.map(s => s.index);
+    if (tool === 'simplify') return m.simplify(this.tolerance.slider.value() * fontUnit(), sel.length ? sel : null);
+    if (tool === 'extrema') {
+      const cts = contoursOf(cmds).filter(ct => !sel.length || sel.some(i => i >= ct.start && i <= ct.end));
+      return m.addExtrema(cts.flatMap(ct => Array.from({ length: ct.end - ct.start + 1 }, (_, k) => ct.start + k)));
+    }
+    const anchors = this.editor.selectedAnchors();
+    if (anchors.length) return m.smoothPoints(anchors);
+    return m.smoothPoints(cmds.map((c, i) => i).filter(i => cmds[i].type !== 'Z'), 30);
+  }
+  // Show what a tool would do in the editor; Apply runs it for real, as one undo step
+  previewTool(tool) {
+    const { model, result } = this.model.dryRun(m => this.runTool(tool, m));
+    const nodes = `${this.model.nodeCount()} → ${model.nodeCount()} nodes`;
+    const info = {
+      simplify: `Simplify: ${result} points removed, ${nodes}`,
+      extrema: `Add Extrema: ${result ? nodes : 'every extreme already has a point'}`,
+      smooth: `Smooth: ${result} point${result === 1 ? '' : 's'} made smooth`
+    }[tool];
+    this.editor.toolPreview = { tool, commands: model.editPath.commands, changed: !!result };
+    this.toolInfo.html(info);
+    this.toolBox.style('display', 'block');
+    redraw();
+  }
+  applyTool() {
+    const p = this.editor.toolPreview;
+    this.cancelTool();
+    if (!p?.changed) return;
+    this.runTool(p.tool, this.model);
+    this.editor.selected = [];
+  }
+  cancelTool() {
+    this.editor.toolPreview = null;
+    this.toolBox.style('display', 'none');
     redraw();
   }
 
   paramChange(name, slider) {
     this.model.params[name] = parseFloat(slider.value());
-    const ro = { width:this.width.readout, height:this.height.readout,
-      weight:this.weight.readout, slant:this.slant.readout, roundness:this.round.readout }[name];
-    if (ro) ro.html(name==='weight' ? String(this.model.params[name]) : nfc(this.model.params[name],2));
+    this.paramSliders[name]?.show(this.model.params[name]);
     this.model.applyParams();
   }
 
-  // Properly parse uploaded fonts using FileReader(ArrayBuffer)
-  onFile(file) {
+  // Properly parse uploaded fonts using FileReader(ArrayBuffer).
+  // The second font only feeds the Mix slider.
+  onFile(file, second = false) {
     if (!file || !file.file) return;
     const ok = /\.ttf$|\.otf$/i.test(file.name);
     if (!ok) { alert('Please upload a .ttf or .otf'); return; }
@@ -663,9 +2033,18 @@ class UI {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        font = opentype.parse(e.target.result); // ArrayBuffer -> font
-        console.log('Loaded font:', font.names?.fullName?.en || file.name);
-        glyphModel.generate(this.charInput.value()); // regenerate current letter
+        const f = parseFont(e.target.result); // ArrayBuffer -> font, variable ones at their default
+        console.log('Loaded font:', f.names?.fullName?.en || file.name);
+        if (second) {
+          font2 = f;
+          font2Bytes = e.target.result;
+          word.prepareMix();
+          return;
+        }
+        font = f;
+        fontBytes = e.target.result;             // kept for project files
+        word.regenerate(); // regenerate every letter
+        this.buildAxesUI();
       } catch (err) {
         console.error('Font parsing error:', err);
         alert('Could not parse the font file. Try another .ttf or .otf.');
@@ -678,34 +2057,204 @@ class UI {
     reader.readAsArrayBuffer(file.file);
   }
 
+  // One slider per axis of a variable main font, and its named instances
+  buildAxesUI() {
+    this.axesBox.html('');
+    const V = font?.variation;
+    this.axesBox.style('display', V ? 'block' : 'none');
+    if (!V) return;
+    createElement('h3', 'Variable Axes').parent(this.axesBox).style('margin:6px 0 8px 0; font-size:13px; color:#444;');
+    if (V.instances.length) {
+      const sel = createSelect().parent(this.axesBox).style('width:100%; padding:4px;');
+      sel.option('Named instance…', '');
+      V.instances.forEach((inst, i) => sel.option(inst.name || `Instance ${i + 1}`, String(i)));
+      sel.changed(() => {
+        if (sel.value() === '') return;
+        setVariation(font, V.instances[+sel.value()].coords);
+        word.reinstance();
+        this.buildAxesUI();
+      });
+    }
+    for (const a of V.axes) {
+      const step = a.maxValue - a.minValue > 50 ? 1 : 0.01;
+      this.makeSlider(`${a.label} (${a.tag})`, a.minValue, a.maxValue, V.coords[a.tag], step, (v) => {
+        setVariation(font, { ...V.coords, [a.tag]: v });
+        word.reinstance();
+      }, this.axesBox);
+    }
+  }
+
+  onSVGFile(file) {
+    if (!file || !file.file) return;
+    if (!/\.svg$/i.test(file.name)) { alert('Please upload an .svg'); return; }
+    const reader = new FileReader();
+    reader.onload = (e) => this.importSVG(e.target.result, file.name);
+    reader.onerror = () => alert('Failed to read the SVG file.');
+    reader.readAsText(file.file);
+  }
+
+  // Ctrl/Cmd+V: SVG markup on the clipboard (Copy as SVG in vector tools) replaces the
+  // current letter, anything else pastes the contours copied in the editor
+  onPaste(e) {
+    if (document.activeElement && ['INPUT','TEXTAREA'].includes(document.activeElement.tagName)) return;
+    e.preventDefault();
+    const text = e.clipboardData?.getData('text/plain') || '';
+    if (/<svg[\s>]/i.test(text)) this.importSVG(text, 'the pasted SVG');
+    else this.editor.paste();
+    redraw();
+  }
+
+  importSVG(text, name) {
+    try {
+      glyphModel.importOutline(svgToCommands(text));
+      this.editor.selected = []; this.editor.penStart = null;
+      this.syncFromModel();
+      this.editor.fitTo(this.editor._lastEditorArea);
+    } catch (err) {
+      console.error('SVG import error:', err);
+      alert(`Could not import ${name}: ${err.message}`);
+    }
+  }
+
+  // The tracing image stays in the page only, projects and autosave don't keep it
+  onTraceFile(file) {
+    if (!file || file.type !== 'image') { alert('Please pick an image (PNG, JPEG…)'); return; }
+    const img = new Image();
+    img.onload = ()=> {
+      this.setTracing({ img, opacity: 0.5, x: 0, y: 0, scale: 1 });
+      this.trace.checked(true); this.editor.view.trace = true;
+      redraw();
+    };
+    img.onerror = ()=> alert(`Could not read ${file.name}`);
+    img.src = file.data;
+  }
+  // Update the tracing image (null removes it) and its sliders
+  setTracing(o) {
+    const t = this.editor.tracing = o && { ...this.editor.tracing, ...o };
+    this.traceBox.style('display', t ? 'block' : 'none');
+    if (t) {
+      for (const [s, v] of [[this.traceOpacity, t.opacity], [this.traceX, t.x], [this.traceY, t.y], [this.traceScale, t.scale]]) { s.slider.value(v); s.show(v); }
+    }
+    else this.traceInput.value('');
+    redraw();
+  }
+
+  onProjectFile(file) {
+    if (!file || !file.file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        applyProject(JSON.parse(e.target.result));
+      } catch (err) {
+        console.error('Project error:', err);
+        alert('Could not open the project: ' + err.message);
+      }
+    };
+    reader.onerror = () => alert('Failed to read the project file.');
+    reader.readAsText(file.file);
+  }
+
+  // View checkboxes and preview zoom from the editor/preview state
+  syncView() {
+    this.wire.checked(this.editor.view.wire);
+    this.fill.checked(this.editor.view.fill);
+    this.grid.checked(this.editor.view.grid);
+    this.gridSize.value(this.editor.view.gridSize);
+    this.smartSnap.checked(this.editor.view.smartSnap);
+    this.keepAngle.checked(this.editor.view.keepAngle);
+    this.lock.checked(this.editor.view.lock);
+    this.showIssues.checked(this.editor.view.issues);
+    this.showMetrics.checked(this.editor.view.metrics);
+    this.snapMetrics.checked(this.editor.view.snapMetrics);
+    this.onion.checked(this.editor.view.onion);
+    this.ref2.checked(this.editor.view.ref2);
+    this.trace.checked(this.editor.view.trace);
+    this.zoom.slider.value(this.preview.zoom);
+    this.zoom.readout.html(nfc(this.preview.zoom, 2));
+  }
+
   exportSVG() {
     if (typeof opentype === 'undefined') { alert('opentype.js not loaded'); return; }
-    if (!glyphModel?.path) return;
-    const p = newPath(copyCommands(glyphModel.path.commands));
-    const d = p.toPathData(5);
-    const bb = bboxOf(glyphModel.path.commands);
-    const pad = 20;
-    // Use even-odd so counters are preserved in the SVG
+    if (!word?.glyphs.length) return;
+    let cmds = word.commands();
+    if (this.cleanExport.checked()) cmds = cleanOutline(cmds);
+    const blob = new Blob([svgDocument(cmds)], {type:'image/svg+xml;charset=utf-8'});
+    if (typeof saveAs === 'function') saveAs(blob, `${fileSafe(word.text)}_playground.svg`);
+    else alert('FileSaver not available');
+  }
+
+  // Every frame of the timeline as a numbered PNG, black on white, framed like the preview
+  exportFrames() {
+    if (!timeline.hasKeys()) { alert('Set at least one key first'); return; }
+    if (typeof saveAs !== 'function') { alert('FileSaver not available'); return; }
+    const bb = timeline.bounds(), pad = 0.1 * Math.max(bb.w, bb.h);
+    const H = 800, W = Math.round(H * (bb.w + pad * 2) / (bb.h + pad * 2));
+    const k = H / (bb.h + pad * 2);
+    const g = createGraphics(W, H);
+    g.pixelDensity(1);
+    const name = fileSafe(word.text), files = [];
+    timeline.frameTimes().forEach((t, i) => {
+      const ctx = g.drawingContext;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, W, H);
+      ctx.setTransform(k, 0, 0, k, (pad - bb.x) * k, (pad - bb.y) * k);
+      canvasDrawCommands(ctx, word.commandsAt(t, timeline.ease));
+      ctx.fillStyle = '#000';
+      ctx.fill('evenodd');
+      const png = base64ToBuffer(g.elt.toDataURL('image/png').split(',')[1]);
+      files.push({ name: `${name}_${String(i + 1).padStart(4, '0')}.png`, bytes: new Uint8Array(png) });
+    });
+    g.remove();
+    // one download: browsers block or ask about dozens of them
+    saveAs(new Blob([zipStored(files)], {type:'application/zip'}), `${name}_frames.zip`);
+  }
+
+  // One path whose outline is animated with SMIL; frames share their point structure,
+  // so the browser interpolates between them
+  exportAnimatedSVG() {
+    if (!timeline.hasKeys()) { alert('Set at least one key first'); return; }
+    const frames = timeline.frameTimes(true).map(t => svgPathData(word.commandsAt(t, timeline.ease), 3));
+    const bb = timeline.bounds(), pad = 20;
     const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${bb.x - pad} ${bb.y - pad} ${bb.w + pad*2} ${bb.h + pad*2}">
-  <path d="${d}" fill="black" fill-rule="evenodd"/>
+  <path d="${frames[0]}" fill="black" fill-rule="evenodd">
+    <animate attributeName="d" dur="${timeline.duration}s" repeatCount="indefinite" values="${frames.join(';')}"/>
+  </path>
 </svg>`;
     const blob = new Blob([svg], {type:'image/svg+xml;charset=utf-8'});
-    if (typeof saveAs === 'function') saveAs(blob, `${glyphModel.char}_playground.svg`);
+    if (typeof saveAs === 'function') saveAs(blob, `${fileSafe(word.text)}_animation.svg`);
     else alert('FileSaver not available');
   }
 
+  // Loaded font with the edited letters of the word swapped in
+  exportFont() {
+    if (!font) { alert('No font loaded, upload a .ttf or .otf first'); return; }
+    const srcFamily = font.names?.fontFamily?.en || 'Font';
+    const family = this.familyName.value().trim() || `${srcFamily} Playground`;
+    const style = this.styleName.value().trim() || font.names?.fontSubfamily?.en || 'Regular';
+    try {
+      const bytes = buildEditedFont(font, word.glyphs, family, style, { removeOverlap: this.cleanExport.checked(), source: fontBytes || defaultFontBytes });
+      const blob = new Blob([bytes], {type:'font/otf'});
+      if (typeof saveAs === 'function') saveAs(blob, `${fileSafe(family)}-${fileSafe(style)}.otf`);
+      else alert('FileSaver not available');
+    } catch (err) {
+      console.error('Font export error:', err);
+      alert('Could not build the font file.');
+    }
+  }
+
   // small helpers to build UI
-  makeSlider(label, min, max, value, step, onInput) {
-    const wrap = createDiv().parent(this.panel).style('margin:6px 0;');
+  makeSlider(label, min, max, value, step, onInput, parent = this.panel) {
+    const fmt = (v)=> step >= 1 ? String(v) : nfc(v, 2);
+    const wrap = createDiv().parent(parent).style('margin:6px 0;');
     createSpan(`${label}: `).parent(wrap);
-    const read = createSpan(nfc(value, 2)).parent(wrap).style('float:right; color:#555;');
-    const s = createSlider(min, max, value, step).parent(this.panel).style('width:100%;');
-    s.input(()=>{ read.html(label==='Weight'? String(s.value()) : nfc(s.value(),2)); if (onInput) onInput(parseFloat(s.value())); });
-    return { slider: s, readout: read };
+    const read = createSpan(fmt(value)).parent(wrap).style('float:right; color:#555;');
+    const s = createSlider(min, max, value, step).parent(parent).style('width:100%;');
+    s.input(()=>{ read.html(fmt(s.value())); if (onInput) onInput(parseFloat(s.value())); });
+    return { slider: s, readout: read, show: (v)=> read.html(fmt(v)) };
   }
   makeBtn(txt, fn, half=false) {
     const w = half ? 'calc(50% - 3px)' : '100%';
-    const b = createButton(txt).style(`width:${w}; padding:8px; margin-top:6px; background:#007bff; color:#fff; border:none; border-radius:4px;`);
+    const b = createButton(txt).parent(this.panel).style(`width:${w}; padding:8px; margin-top:6px; background:#007bff; color:#fff; border:none; border-radius:4px;`);
     b.mousePressed(fn);
     return b;
   }
@@ -716,18 +2265,249 @@ class UI {
   }
 }
 
+/* =================== PROJECT (save / open / autosave) =================== */
+// A project is one JSON file: font bytes, text, seed, view and every glyph with its
+// history. Bump PROJECT_VERSION when the format changes and upgrade old files in
+// migrateProject, so projects saved by earlier versions keep opening.
+const PROJECT_VERSION = 2;
+const AUTOSAVE_KEY = 'letter-playground:autosave';
+
+function projectData(withFont = true) {
+  return {
+    format: 'letter-playground',
+    version: PROJECT_VERSION,
+    font: withFont && fontBytes ? bufferToBase64(fontBytes) : null,
+    font2: withFont && font2Bytes ? bufferToBase64(font2Bytes) : null,
+    variation: font?.variation ? { ...font.variation.coords } : null,
+    text: word.text,
+    active: word.active,
+    seed: ui.seed.value(),
+    random: (({ refs, ...o }) => o)(ui.randomOptions()),
+    pins: gallery.pins,
+    view: { ...editor.view },
+    cam: { ...editor.cam },
+    previewZoom: preview.zoom,
+    timeline: timeline.toJSON(),
+    glyphs: word.glyphs.map(m => m.toJSON())
+  };
+}
+
+function migrateProject(d) {
+  if (!d || d.format !== 'letter-playground') throw new Error('not a Letter Playground project');
+  if (!(d.version >= 1)) throw new Error('missing version');
+  if (d.version > PROJECT_VERSION) throw new Error(`saved by a newer version (${d.version})`);
+  // version 1 is the first format; upgrades from older versions go here, in order
+  if (d.version < 2) {
+    // 2: a glyph's history is a tree of diffs (see GlyphModel.saveState), not undo and redo stacks
+    for (const g of d.glyphs) {
+      g.history = historyFromStacks(g.undoStack, g.redoStack);
+      delete g.undoStack;
+      delete g.redoStack;
+    }
+    d.version = 2;
+  }
+  return d;
+}
+
+function applyProject(data) {
+  const d = migrateProject(data);
+  // no font in the file: it was made with the default one, not whatever is loaded now
+  fontBytes = d.font ? base64ToBuffer(d.font) : null;
+  if (fontBytes) font = parseFont(fontBytes);
+  else if (defaultFontBytes) font = parseFont(defaultFontBytes);
+  font2Bytes = d.font2 ? base64ToBuffer(d.font2) : null;
+  font2 = font2Bytes ? parseFont(font2Bytes) : null;
+  if (d.variation) setVariation(font, d.variation);
+  ui.buildAxesUI();
+  word.glyphs = d.glyphs.map(g => { const m = new GlyphModel(); m.loadJSON(g); return m; });
+  word.text = d.text;
+  Object.assign(editor.view, d.view);
+  if (d.cam) { Object.assign(editor.cam, d.cam); editor._initCam = true; }
+  preview.zoom = d.previewZoom || 1;
+  timeline.loadJSON(d.timeline);
+  ui.charInput.value(d.text);
+  ui.seed.value(d.seed);
+  ui.setRandomOptions(d.random);
+  gallery.pins = d.pins || [];
+  ui.syncView();
+  ui.syncAnimation();
+  word.setActive(Math.min(d.active || 0, word.glyphs.length - 1));
+}
+
+function saveProjectFile() {
+  const blob = new Blob([JSON.stringify(projectData())], {type:'application/json'});
+  if (typeof saveAs === 'function') saveAs(blob, `${fileSafe(word.text)}_project.json`);
+  else alert('FileSaver not available');
+}
+
+// Local autosave, written shortly after the last change. Storage is small, so a
+// project that does not fit is stored without the font bytes (the default font is used).
+let autosaveTimer = null;
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosave, 1000);
+}
+function autosave() {
+  if (!initialized) return;
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(projectData()));
+  } catch (err) {
+    try { localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(projectData(false))); }
+    catch (err2) { console.warn('Autosave failed:', err2); }
+  }
+}
+function restoreAutosave() {
+  try {
+    const raw = localStorage.getItem(AUTOSAVE_KEY);
+    if (!raw) return false;
+    applyProject(JSON.parse(raw));
+    return word.glyphs.length > 0;
+  } catch (err) {
+    console.warn('Autosave could not be restored:', err);
+    return false;
+  }
+}
+
+function bufferToBase64(buf) {
+  const bytes = new Uint8Array(buf);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+function base64ToBuffer(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes.buffer;
+}
+
+/* =================== FONT EXPORT =================== */
+// Copy of `src` where glyphs of edited models get their working outline and advance.
+// Every other glyph is copied unchanged, unicodes included, so the cmap stays intact.
+// When a letter appears more than once, its first edited occurrence wins.
+// A variable font is written as the instance chosen with the axis sliders.
+// opts.source, the bytes of src, brings its kerning, layout tables and line gap along:
+// opentype.js writes none of them, and glyph ids stay the same so they still fit.
+// Returns the OTF bytes.
+function buildEditedFont(src, models, familyName, styleName, opts = {}) {
+  const k = src.unitsPerEm / GLYPH_SIZE;
+  const edited = new Map(); // glyph index -> GlyphModel
+  for (const m of models) {
+    if (m.glyph && m.isEdited() && !edited.has(m.glyph.index)) edited.set(m.glyph.index, m);
+  }
+  const glyphs = [];
+  for (let i = 0; i < src.glyphs.length; i++) {
+    const g = src.glyphs.get(i);
+    const m = edited.get(i);
+    const inst = !m && src.variation ? glyphInstance(src, i) : null;
+    glyphs.push(new opentype.Glyph({
+      name: g.name || (i === 0 ? '.notdef' : `glyph${i}`),
+      unicode: g.unicode,
+      unicodes: g.unicodes,
+      advanceWidth: m ? Math.round(m.advanceWidth() * k) : inst ? Math.round(inst.advanceWidth) : g.advanceWidth,
+      path: m ? toFontUnits(opts.removeOverlap ? cleanOutline(m.path.commands) : m.path.commands, k) : inst ? newPath(copyCommands(inst.commands)) : g.path
+    }));
+  }
+  // OS/2 metrics (x-height, cap height, typo and win metrics, weight class) as in src;
+  // the fields that follow from the glyph set are computed again
+  const os2 = { ...src.tables.os2 };
+  for (const key of ['version', 'xAvgCharWidth', 'usFirstCharIndex', 'usLastCharIndex', 'ulUnicodeRange1', 'ulUnicodeRange2', 'ulUnicodeRange3', 'ulUnicodeRange4']) delete os2[key];
+  const out = new opentype.Font({
+    familyName, styleName,
+    unitsPerEm: src.unitsPerEm,
+    ascender: src.ascender,
+    descender: src.descender,
+    designer: src.names?.designer?.en,
+    tables: { os2 },
+    glyphs
+  }).toArrayBuffer();
+  if (!opts.source) return out;
+  const from = sfntTables(opts.source), to = sfntTables(out), changes = {};
+  for (const tag of ['GDEF', 'GPOS', 'GSUB', 'kern']) {
+    if (from[tag]) changes[tag] = new Uint8Array(opts.source, from[tag].offset, from[tag].length);
+  }
+  const hhea = new Uint8Array(out, to.hhea.offset, to.hhea.length).slice();
+  new DataView(hhea.buffer).setInt16(8, src.tables.hhea.lineGap || 0);
+  changes.hhea = hhea;
+  return sfntWith(out, changes);
+}
+
+// Path units (y down, GLYPH_SIZE per em) -> font units (y up)
+function toFontUnits(cmds, k) {
+  const p = new opentype.Path();
+  for (const c of cmds) {
+    const o = { type: c.type };
+    if ('x'  in c) { o.x  = Math.round(c.x  * k); o.y  = Math.round(-c.y  * k); }
+    if ('x1' in c) { o.x1 = Math.round(c.x1 * k); o.y1 = Math.round(-c.y1 * k); }
+    if ('x2' in c) { o.x2 = Math.round(c.x2 * k); o.y2 = Math.round(-c.y2 * k); }
+    p.commands.push(o);
+  }
+  return p;
+}
+
 /* =================== Utilities =================== */
-function newPath(cmds=[]) { const p = typeof opentype!=='undefined' ? new opentype.Path() : { commands: [] }; p.commands = cmds; return p; }
-function copyCommands(cmds) { return JSON.parse(JSON.stringify(cmds||[])); }
-function bboxOf(cmds) {
-  if (typeof opentype === 'undefined') return { x:0, y:0, w:100, h:100 };
-  const p = new opentype.Path(); p.commands = copyCommands(cmds);
-  const b = p.getBoundingBox?.();
-  if (!b || !isFinite(b.x1) || !isFinite(b.y1) || !isFinite(b.x2) || !isFinite(b.y2))
-    return { x:0, y:0, w:0, h:0 };
-  return { x:b.x1, y:b.y1, w:b.x2 - b.x1, h:b.y2 - b.y1 };
+function fileSafe(s) { return String(s).replace(/[^\w-]+/g, '_') || 'glyph'; }
+
+// PNG bytes with a pHYs chunk after the header, so print tools open it at that DPI
+function pngWithDPI(bytes, dpi) {
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21), v = new DataView(chunk.buffer);
+  v.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  v.setUint32(8, ppm); v.setUint32(12, ppm); chunk[16] = 1; // pixels per metre
+  v.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const src = new Uint8Array(bytes), at = 8 + 25; // signature, IHDR
+  const out = new Uint8Array(src.length + 21);
+  out.set(src.subarray(0, at)); out.set(chunk, at); out.set(src.subarray(at), at + 21);
+  return out;
+}
+
+function crc32(bytes) {
+  let c = ~0;
+  for (const b of bytes) {
+    c ^= b;
+    for (let k = 0; k < 8; k++) c = (c >>> 1) ^ (0xEDB88320 & -(c & 1));
+  }
+  return ~c >>> 0;
+}
+
+// ZIP archive of { name, bytes } files, stored without compression (PNGs are compressed already)
+function zipStored(files) {
+  const enc = new TextEncoder(), now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const entries = files.map(f => ({ ...f, path: enc.encode(f.name), crc: crc32(f.bytes) }));
+  const size = entries.reduce((n, e) => n + 30 + e.path.length + e.bytes.length + 46 + e.path.length, 22);
+  const out = new Uint8Array(size), v = new DataView(out.buffer);
+  // the fields local and central headers share, from version needed on
+  const common = (p, e) => {
+    v.setUint16(p, 20, true); v.setUint16(p + 2, 0x0800, true); v.setUint16(p + 4, 0, true); // UTF-8 names, stored
+    v.setUint16(p + 6, time, true); v.setUint16(p + 8, date, true); v.setUint32(p + 10, e.crc, true);
+    v.setUint32(p + 14, e.bytes.length, true); v.setUint32(p + 18, e.bytes.length, true);
+    v.setUint16(p + 22, e.path.length, true);
+  };
+  let p = 0;
+  for (const e of entries) {
+    e.offset = p;
+    v.setUint32(p, 0x04034b50, true);
+    common(p + 4, e);
+    out.set(e.path, p + 30); out.set(e.bytes, p + 30 + e.path.length);
+    p += 30 + e.path.length + e.bytes.length;
+  }
+  const dir = p;
+  for (const e of entries) {
+    v.setUint32(p, 0x02014b50, true);
+    v.setUint16(p + 4, 20, true);
+    common(p + 6, e);
+    v.setUint32(p + 42, e.offset, true);
+    out.set(e.path, p + 46);
+    p += 46 + e.path.length;
+  }
+  v.setUint32(p, 0x06054b50, true);
+  v.setUint16(p + 8, entries.length, true); v.setUint16(p + 10, entries.length, true);
+  v.setUint32(p + 12, p - dir, true); v.setUint32(p + 16, dir, true);
+  return out;
 }
-function mouseInRect(r){ return mouseX>=r.x && mouseX<=r.x+r.w && mouseY>=r.y && mouseY<=r.y+r.h; }
 
 // Canvas path builder from opentype commands (supports counters)
 function canvasDrawCommands(ctx, commands) {
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/*  Letter Playground — batch renderer
+    - Renders every character of a set to its own SVG, through the same model and effects
+      as the sketch, so a seed and a set of params give the same letters as in the browser.
+    - Run `letter-playground --help` (or `node cli.js --help`) for the options.
+*/
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const core = require('./letter_core.js');
+
+const PARAM_KEYS = Object.keys(core.DEFAULT_PARAMS);
+
+const USAGE = `Usage: letter-playground --font <file> [options]
+
+  --font <file>        TTF or OTF to take the letters from (required)
+  --chars <text>       characters to render (default: A-Z)
+  --out <dir>          output folder, created when missing (default: out)
+  --effects <list>     effect stack, comma separated, applied in order
+                       (default: ${core.DEFAULT_EFFECTS.join(',')}; available: ${Object.keys(core.EFFECTS).join(', ')})
+  --seed <n>           randomize with this seed
+  --amount <n>         randomness amount in path units (default: ${core.RANDOM_DEFAULTS.amount})
+  --mode <m>           uniform or smooth (default: ${core.RANDOM_DEFAULTS.mode})
+  --scope <s>          all, anchors or handles (default: ${core.RANDOM_DEFAULTS.scope})
+  --keep-tangents      keep smooth curves smooth when randomizing
+  --font2 <file>       second font, for --mix
+  --axes <list>        instance of a variable font, e.g. wght=700,wdth=80
+  --keep-overlap       write the outlines as they are, without removing overlap
+  -h, --help           show this help
+
+Effect params (defaults in brackets):
+${PARAM_KEYS.map(k => `  --${k} <n>`.padEnd(23) + `[${core.DEFAULT_PARAMS[k]}]`).join('\n')}
+
+Files are named after the code point, uni0041.svg for A.`;
+
+function fail(msg) {
+  console.error(`letter-playground: ${msg}`);
+  process.exit(1);
+}
+
+function number(name, value) {
+  const v = Number(value);
+  if (value === '' || !isFinite(v)) fail(`--${name} needs a number, got "${value}"`);
+  return v;
+}
+
+function loadFont(file) {
+  try {
+    const b = fs.readFileSync(file);
+    return core.parseFont(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength));
+  }
+  catch (err) { fail(`cannot read font ${file}: ${err.message}`); }
+}
+
+// uni0041 in the BMP, u1F600 above it (the AGL naming)
+function glyphFileName(ch) {
+  const hex = ch.codePointAt(0).toString(16).toUpperCase();
+  return hex.length <= 4 ? `uni${hex.padStart(4, '0')}` : `u${hex}`;
+}
+
+function main(argv) {
+  const options = {
+    font: { type: 'string' },
+    font2: { type: 'string' },
+    axes: { type: 'string' },
+    chars: { type: 'string', default: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' },
+    out: { type: 'string', default: 'out' },
+    effects: { type: 'string' },
+    seed: { type: 'string' },
+    amount: { type: 'string' },
+    mode: { type: 'string' },
+    scope: { type: 'string' },
+    'keep-tangents': { type: 'boolean', default: false },
+    'keep-overlap': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  };
+  for (const k of PARAM_KEYS) options[k] = { type: 'string' };
+
+  let args;
+  try { args = parseArgs({ args: argv, options }).values; }
+  catch (err) { fail(`${err.message}\n\n${USAGE}`); }
+  if (args.help) { console.log(USAGE); return; }
+  if (!args.font) fail(`--font is required\n\n${USAGE}`);
+
+  const effects = args.effects === undefined ? null : args.effects.split(',').map(s => s.trim()).filter(Boolean);
+  for (const type of effects || []) if (!core.EFFECTS[type]) fail(`unknown effect "${type}"`);
+  const params = {};
+  for (const k of PARAM_KEYS) if (args[k] !== undefined) params[k] = number(k, args[k]);
+  if (args.mode && !['uniform', 'smooth'].includes(args.mode)) fail(`--mode is uniform or smooth, got "${args.mode}"`);
+  if (args.scope && !['all', 'anchors', 'handles'].includes(args.scope)) fail(`--scope is all, anchors or handles, got "${args.scope}"`);
+  const random = {
+    amount: args.amount === undefined ? core.RANDOM_DEFAULTS.amount : number('amount', args.amount),
+    mode: args.mode || core.RANDOM_DEFAULTS.mode,
+    scope: args.scope || core.RANDOM_DEFAULTS.scope,
+    keepTangents: args['keep-tangents']
+  };
+
+  const font = loadFont(args.font);
+  core.useFonts(font, args.font2 ? loadFont(args.font2) : null);
+  if (args.axes !== undefined) {
+    if (!font.variation) fail(`--axes needs a variable font, ${args.font} has no axes`);
+    const coords = {};
+    for (const item of args.axes.split(',').map(s => s.trim()).filter(Boolean)) {
+      const [tag, value] = item.split('=');
+      if (!font.variation.axes.some(a => a.tag === tag)) fail(`unknown axis "${tag}" (the font has ${font.variation.axes.map(a => a.tag).join(', ')})`);
+      coords[tag] = number(`axes ${tag}`, value ?? '');
+    }
+    core.setVariation(font, coords);
+  }
+  fs.mkdirSync(args.out, { recursive: true });
+
+  let written = 0;
+  for (const ch of new Set(Array.from(args.chars))) {
+    if (!font.charToGlyph(ch).index) { console.warn(`skipped “${ch}”, not in the font`); continue; }
+    const m = new core.GlyphModel();
+    m.generate(ch);
+    if (effects) m.effects = effects.map(type => ({ type, on: true }));
+    Object.assign(m.params, params);
+    m.applyParams();
+    if (args.seed !== undefined) m.randomize(number('seed', args.seed), random);
+    if (m.params.mix && m.mixTarget()?.error) console.warn(`“${ch}”: ${m.mixTarget().error}, rendered without mix`);
+    const cmds = args['keep-overlap'] ? m.path.commands : core.cleanOutline(m.path.commands);
+    fs.writeFileSync(path.join(args.out, `${glyphFileName(ch)}.svg`), core.svgDocument(cmds) + '\n');
+    written++;
+  }
+  console.log(`wrote ${written} SVG${written === 1 ? '' : 's'} to ${args.out}`);
+}
+
+main(process.argv.slice(2));
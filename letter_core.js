@@ -0,0 +1,2972 @@
+/*  Letter Playground — glyph core
+    - The glyph model, the effect stack and the outline geometry, without p5 or the DOM.
+    - Browser: include it before Letter_Playground.js, both share the same globals.
+    - Node: const core = require('./letter_core.js'); core.useFonts(opentype.parse(bytes));
+      then new core.GlyphModel() as in the sketch, see cli.js for a complete example.
+*/
+
+/* =================== Libraries (opentype.js, paper.js) =================== */
+// Script tags provide them in the browser (possibly later, the sketch loads them itself),
+// node_modules in Node.
+var opentype = globalThis.opentype || (typeof require === 'function' ? require('opentype.js') : undefined);
+var paper = globalThis.paper || (typeof require === 'function' ? require('paper/dist/paper-core') : undefined);
+
+/* =================== Constants and fonts =================== */
+const GLYPH_SIZE = 72;   // font size the outlines are built at (path units per em)
+const DEFAULT_PARAMS = { mix: 0 }; // plus the defaults of every registered effect (see EFFECTS)
+let font = null;         // opentype.Font
+let font2 = null;        // second opentype.Font, the Mix slider blends toward it
+
+function useFonts(main, second = null) { font = main; font2 = second; }
+
+/* =================== Model events =================== */
+// Models report here instead of to the page: 'changed' after every edit, 'loaded' when
+// undo, redo or a jump in the history puts back a state. The sketch turns them into
+// redraws and panel updates.
+const modelListeners = { changed: [], loaded: [] };
+function onModel(type, fn) { modelListeners[type].push(fn); }
+function emitModel(type, m) { for (const fn of modelListeners[type]) fn(m); }
+
+/* =================== Seeded randomness =================== */
+// The generators behind p5's randomSeed()/random() and noiseSeed()/noise(), so a seed
+// gives the same letter in the sketch, in Node and in projects saved before the split.
+function seededRandom(seed) {
+  let z = seed >>> 0;
+  return () => (z = (1664525 * z + 1013904223) % 4294967296) / 4294967296;
+}
+
+// 2D Perlin noise over a table filled from the seed (4 octaves, falloff 0.5)
+function seededNoise(seed) {
+  const table = Array.from({ length: 4096 }, seededRandom(seed));
+  const fade = (t) => 0.5 * (1 - Math.cos(t * Math.PI));
+  return (x, y = 0) => {
+    x = Math.abs(x); y = Math.abs(y);
+    let xi = Math.floor(x), yi = Math.floor(y), xf = x - xi, yf = y - yi;
+    let r = 0, ampl = 0.5;
+    for (let o = 0; o < 4; o++) {
+      const of = xi + (yi << 4), rxf = fade(xf), ryf = fade(yf);
+      let n1 = table[of & 4095];
+      n1 += rxf * (table[(of + 1) & 4095] - n1);
+      let n2 = table[(of + 16) & 4095];
+      n2 += rxf * (table[(of + 17) & 4095] - n2);
+      n1 += ryf * (n2 - n1);
+      r += n1 * ampl;
+      ampl *= 0.5;
+      xi <<= 1; xf *= 2; yi <<= 1; yf *= 2;
+      if (xf >= 1) { xi++; xf--; }
+      if (yf >= 1) { yi++; yf--; }
+    }
+    return r;
+  };
+}
+
+function lerpNumber(a, b, t) { return a + (b - a) * t; }
+
+/* =================== MODEL =================== */
+// The working path is rebuilt from the source outline on every change:
+//   originalPath (mixed toward the second font) + offset layers (manual edits, randomization)
+//   -> effect stack (slant, scale, weight, corners, flatten curves by default) -> sidebearing shift
+// Offsets live in source space, so hand edits survive any slider change.
+class GlyphModel {
+  constructor() {
+    this.originalPath = newPath();      // opentype.Path, source outline (structure edits land here)
+    this.initialPath = [];              // commands as generated, what Reset goes back to
+    this.path = newPath();              // working path
+    this.editPath = newPath();          // working path without structural effects, what the editor edits
+    this.char = 'A';
+    this.glyph = null;                  // opentype.Glyph, for kerning
+    this.imported = false;              // outline comes from importOutline(), not the font
+    this.advance = 0;                   // advance width of the source glyph
+    this.x = 0;                         // pen position in the word, set by Word.layout
+    this.params = { ...DEFAULT_PARAMS };
+    this.effects = defaultEffects();    // effect stack: [{type, on}], values live in params
+    this.layers = { edit: [], random: [] }; // per-command deltas: [{x, y, x1, y1, x2, y2}]
+    this.spacing = { shift: 0, advance: 0 }; // sidebearing edits: outline shift and extra advance
+    this.keys = [];                     // timeline keyframes: [{t, params, random}]
+    this.guides = [];                   // editor guides: [{axis, pos}], axis 'x' is a vertical line at x = pos
+    this.history = null;                // tree of undo steps, see saveState()
+    this.maxHist = 200;                 // steps kept, the oldest go first
+  }
+
+  nodeCount() { return this.path?.commands?.length || 0; }
+
+  generate(ch) {
+    if (!ch) return;
+    this.char = Array.from(ch)[0];
+    if (font && typeof opentype !== 'undefined') {
+      const g = font.charToGlyph(this.char);
+      const o = glyphOutline(font, g); // nominal size, at the variation instance
+      this.originalPath = newPath(copyCommands(o.commands));
+      this.glyph = g;
+      this.advance = o.advance;
+    } else {
+      // minimal fallback "A-like" triangle if no font loaded
+      const p = newPath();
+      p.moveTo(0, 0); p.lineTo(40, 120); p.lineTo(80, 0); p.close();
+      this.originalPath = newPath(copyCommands(p.commands));
+      this.glyph = null;
+      this.advance = 90;
+    }
+    this.imported = false;
+    this.layers = { edit: [], random: [] };
+    this.prepareMix();
+    this.initialPath = copyCommands(this.originalPath.commands);
+    this.history = null;
+    this.reset('Original');
+  }
+
+  // Replace the outline with outside artwork (see svgToCommands), y down in any units.
+  // It is fitted to the ink of the letter it replaces: same height, baseline and
+  // sidebearings, or cap height when that letter is empty. Like generate() this starts
+  // a new glyph: history and sliders are cleared and Reset comes back to the import.
+  importOutline(cmds) {
+    const src = bboxOf(cmds);
+    if (!(src.h > 0) && !(src.w > 0)) throw new Error('the outline is empty');
+    const old = bboxOf(this.initialPath);
+    const fit = old.h > 0
+      ? { h: old.h, bottom: old.y + old.h, left: old.x, right: this.advance - old.x - old.w }
+      : { h: -(fontMetrics().capHeight || -GLYPH_SIZE * 0.7), bottom: 0, left: GLYPH_SIZE * 0.05, right: GLYPH_SIZE * 0.05 };
+    const s = src.h > 0 ? fit.h / src.h : fit.h / src.w;
+    const out = scaleCommands(translateCommands(copyCommands(cmds), -src.x, -src.y - src.h), s);
+    this.originalPath = newPath(translateCommands(out, fit.left, fit.bottom));
+    this.advance = fit.left + src.w * s + fit.right;
+    this.imported = true;
+    this.layers = { edit: [], random: [] };
+    this.prepareMix();
+    this.initialPath = copyCommands(this.originalPath.commands);
+    this.history = null;
+    this.reset('Import SVG');
+  }
+
+  // The font's variation instance changed: take the new outline and advance, keeping the
+  // edits (offsets, so they follow). A source and history steps still equal to the old
+  // outline move along; after structure edits the source stays and only Reset changes.
+  reinstance() {
+    if (this.imported || !font?.variation) return;
+    const o = glyphOutline(font, font.charToGlyph(this.char));
+    const was = JSON.stringify(this.initialPath), source = this.originalPath, layers = this.layers;
+    this.layers = { edit: [], random: [] };
+    this.originalPath = newPath(o.commands);
+    this._mix = null;
+    this.prepareMix();
+    this.initialPath = copyCommands(this.originalPath.commands);
+    this.advance = o.advance;
+    if (JSON.stringify(source.commands) !== was) this.originalPath = source;
+    this.layers = layers;
+    this._mapStates(s => { if (JSON.stringify(s.source) === was) s.source = copyCommands(this.initialPath); });
+    this._rebuild();
+    this._emitChanged();
+  }
+
+  // Back to the outline as generated (or imported), as a step of its own; a glyph
+  // without history starts one here
+  reset(label = 'Reset') {
+    this.originalPath = newPath(copyCommands(this.initialPath));
+    this.params = { ...DEFAULT_PARAMS };
+    this.effects = defaultEffects();
+    this.layers = { edit: [], random: [] };
+    this.spacing = { shift: 0, advance: 0 };
+    this._rebuild();
+    this.saveState(label);
+    this._emitChanged();
+  }
+
+  applyParams(label) {
+    this._rebuild();
+    this.saveState(label);
+    this._emitChanged();
+  }
+
+  // Source outline with every offset layer added
+  baseCommands(src = this.originalPath.commands, layers = this.layers) {
+    const cmds = copyCommands(src);
+    for (const name in layers) {
+      layers[name].forEach((o, i) => {
+        const c = cmds[i];
+        if (!o || !c) return;
+        for (const k in o) if (k in c) c[k] += o[k];
+      });
+    }
+    return cmds;
+  }
+
+  // The same letter in the second font, matched point for point to the source:
+  // { target, upgraded, advance } or { error }. Cached until the structure or font changes.
+  mixTarget() {
+    if (!font2) return null;
+    const key = this.originalPath.commands.map(c => c.type).join('');
+    const mx = this._mix;
+    if (mx && mx.font === font2 && mx.char === this.char && mx.key === key) return mx;
+    const g = font2.charToGlyph(this.char);
+    const o = g && g.index ? glyphOutline(font2, g) : null;
+    const res = !o ? { error: `“${this.char}” is not in the second font` } : matchOutlines(this.originalPath.commands, o.commands);
+    this._mix = { font: font2, char: this.char, key, advance: o?.advance || 0, ...res };
+    return this._mix;
+  }
+
+  // Lines of the source whose partner in the second font is a curve become curves of
+  // the same shape, so Mix can reach the second outline
+  prepareMix() {
+    if (!this.mixTarget()?.upgraded) return;
+    this._bake();
+    this._mix = null;
+    const mx = this.mixTarget();
+    if (mx.upgraded) this.originalPath = newPath(mx.upgraded);
+    this._rebuild();
+  }
+
+  // Source outline blended toward the second font by params.mix
+  mixedSource(params = this.params) {
+    const src = this.originalPath.commands;
+    const mx = params.mix ? this.mixTarget() : null;
+    if (!mx?.target) return src;
+    return src.map((c, i) => lerpCommand(c, mx.target[i], params.mix));
+  }
+
+  _rebuild() {
+    this.path.commands = this.build();
+    const structural = this.effects.some(fx => fx.on && EFFECTS[fx.type] && effectStructural(EFFECTS[fx.type], this.params));
+    this.editPath.commands = structural ? this.build(this.params, this.layers, true) : this.path.commands;
+  }
+
+  // Working outline for a set of params and offset layers, the model's own by default
+  // (the timeline poses glyphs this way without touching their state). `editable`
+  // leaves out structural effects, so command indices still match the source;
+  // 'drag' also leaves out the ones that only push points along (see _jacobian).
+  build(params = this.params, layers = this.layers, editable = false) {
+    const src = this.mixedSource(params);
+    let cmds = this.baseCommands(src, layers);
+    // the unedited outline goes through the same effects, as a stable frame (bbox)
+    let ref = copyCommands(src);
+    for (const fx of this.effects) {
+      const def = EFFECTS[fx.type];
+      if (!fx.on || !def) continue;
+      const structural = effectStructural(def, params);
+      if ((structural && editable) || (def.translates && editable === 'drag')) continue;
+      const ctx = { ref, model: this, fx };
+      cmds = def.transform(cmds, params, ctx);
+      if (!structural) ref = def.transform(copyCommands(ref), params, ctx);
+    }
+
+    // sidebearings: the outline moves inside its advance
+    if (this.spacing.shift) translateCommands(cmds, this.spacing.shift, 0);
+
+    return cmds;
+  }
+
+  // Effect stack edits, each one undo step
+  addEffect(type) {
+    if (!EFFECTS[type] || this.effects.some(fx => fx.type === type)) return;
+    this.effects.push({ type, on: true });
+    this.applyParams(`Add ${EFFECTS[type].label}`);
+  }
+  removeEffect(i) {
+    const [fx] = this.effects.splice(i, 1);
+    this.applyParams(`Remove ${effectLabel(fx)}`);
+  }
+  moveEffect(i, dir) {
+    const j = i + dir;
+    if (j < 0 || j >= this.effects.length) return;
+    [this.effects[i], this.effects[j]] = [this.effects[j], this.effects[i]];
+    this.applyParams(`Move ${effectLabel(this.effects[j])} ${dir < 0 ? 'up' : 'down'}`);
+  }
+  toggleEffect(i, on) {
+    if (!this.effects[i]) return;
+    this.effects[i].on = on;
+    this.applyParams(`${effectLabel(this.effects[i])} ${on ? 'on' : 'off'}`);
+  }
+  // Limit an effect to some anchors (source command indices), null for the whole glyph
+  setEffectPoints(i, points) {
+    if (!this.effects[i]) return;
+    if (points) this.effects[i].points = [...points];
+    else delete this.effects[i].points;
+    this.applyParams(`${effectLabel(this.effects[i])} on ${points ? points.length : 'all'} points`);
+  }
+
+  // Output-space movement of a point -> source-space delta, through the inverse of how
+  // the editable effects move that point (measured by finite differences, cached until
+  // params, effects or structure change). Without a ref the first anchor stands in.
+  _toSource(dx, dy, ref) {
+    ref = ref || { index: this.originalPath.commands.findIndex(c => c.type !== 'Z'), type: 'anchor' };
+    const key = JSON.stringify([this.params, this.effects, this.spacing, this.originalPath.commands.length]);
+    if (this._jac?.key !== key) this._jac = { key, map: new Map() };
+    const id = ref.index + ref.type;
+    if (!this._jac.map.has(id)) this._jac.map.set(id, this._jacobian(ref));
+    const J = this._jac.map.get(id);
+    if (!J) return { x: dx, y: dy };
+    return { x: J.ia * dx + J.ib * dy, y: J.ic * dx + J.id * dy };
+  }
+
+  // Inverted 2x2 derivative of the point's output position, or null when flat.
+  // Offsets like Weight bend sharply at joins, a drag goes through them 1:1 instead.
+  _jacobian(ref) {
+    const src = this.originalPath.commands, c = src[ref.index];
+    if (!c || c.type === 'Z') return null;
+    const [kx, ky] = ref.type === 'anchor' ? ['x', 'y'] : HANDLE_KEYS[ref.type];
+    const probe = (dx, dy) => {
+      const P = [];
+      const put = (i, ax, ay) => { P[i] = { ...P[i], [ax]: dx, [ay]: dy }; };
+      put(ref.index, kx, ky);
+      if (ref.type === 'anchor') { // anchors carry their handles, as in movePoints
+        if (c.type === 'C') put(ref.index, 'x2', 'y2');
+        if (src[ref.index + 1]?.type === 'C') put(ref.index + 1, 'x1', 'y1');
+      }
+      const o = this.build(this.params, { ...this.layers, probe: P }, 'drag')[ref.index];
+      return { x: o[kx], y: o[ky] };
+    };
+    const h = 0.5, o = probe(0, 0), ox = probe(h, 0), oy = probe(0, h);
+    const a = (ox.x - o.x) / h, b = (oy.x - o.x) / h, cc = (ox.y - o.y) / h, d = (oy.y - o.y) / h;
+    const det = a * d - b * cc;
+    if (!isFinite(det) || Math.abs(det) < 1e-9) return null;
+    return { ia: d / det, ib: -b / det, ic: -cc / det, id: a / det };
+  }
+
+  // Output-space position -> source space, measured from the nearest anchor
+  _toSourcePoint(x, y) {
+    const out = this.editPath.commands, base = this.baseCommands();
+    let best = -1, bestD = Infinity;
+    out.forEach((c, i) => {
+      if (c.type === 'Z') return;
+      const d = Math.hypot(c.x - x, c.y - y);
+      if (d < bestD) { bestD = d; best = i; }
+    });
+    if (best === -1) return { x: x - this.spacing.shift, y };
+    const d = this._toSource(x - out[best].x, y - out[best].y, { index: best, type: 'anchor' });
+    return { x: base[best].x + d.x, y: base[best].y + d.y };
+  }
+
+  _offset(layer, i, kx, ky, dx, dy) {
+    const L = this.layers[layer];
+    const o = L[i] || (L[i] = {});
+    o[kx] = (o[kx] || 0) + dx;
+    o[ky] = (o[ky] || 0) + dy;
+  }
+
+  // Move the referenced points by (dx, dy) in output space, recorded in the edit layer.
+  // Anchors carry their handles along; lockCollinear mirrors the opposite handle.
+  movePoints(refs, dx, dy, lockCollinear) {
+    const src = this.originalPath.commands;
+    const anchors = new Set(refs.filter(r => r.type === 'anchor').map(r => r.index));
+    for (const ref of refs) {
+      const c = src[ref.index];
+      if (!c) continue;
+      // handles already carried by a selected anchor
+      if (ref.type === 'c2' && anchors.has(ref.index)) continue;
+      if (ref.type === 'c1' && anchors.has(ref.index - 1)) continue;
+      if (ref.type === 'anchor') {
+        const d = this._toSource(dx, dy, ref);
+        this._offset('edit', ref.index, 'x', 'y', d.x, d.y);
+        if (c.type === 'C') this._offset('edit', ref.index, 'x2', 'y2', d.x, d.y);
+        const n = src[ref.index + 1];
+        if (n && n.type === 'C') this._offset('edit', ref.index + 1, 'x1', 'y1', d.x, d.y);
+        continue;
+      }
+      const d = this._toSource(dx, dy, ref);
+      const [kx, ky] = HANDLE_KEYS[ref.type];
+      this._offset('edit', ref.index, kx, ky, d.x, d.y);
+      if (lockCollinear && (ref.type === 'c1' || ref.type === 'c2')) this._mirrorHandle(ref);
+    }
+    this._rebuild();
+    this._emitChanged();
+  }
+
+  // Set a single point to an output-space position
+  setPoint(ref, x, y, lockCollinear) {
+    const c = this.editPath.commands[ref.index];
+    if (!c) return;
+    const [kx, ky] = ref.type === 'anchor' ? ['x', 'y'] : HANDLE_KEYS[ref.type];
+    this.movePoints([ref], x - c[kx], y - c[ky], lockCollinear);
+  }
+
+  // Keep the handle across the anchor collinear with the one just moved (source space)
+  _mirrorHandle(ref) {
+    const base = this.baseCommands();
+    let ai, oi, okx, oky;
+    if (ref.type === 'c2') { ai = ref.index; oi = ref.index + 1; okx = 'x1'; oky = 'y1'; }
+    else { ai = ref.index - 1; oi = ref.index - 1; okx = 'x2'; oky = 'y2'; }
+    const a = base[ai], o = base[oi], c = base[ref.index];
+    if (!a || !o || o.type !== 'C' || a.type === 'Z') return;
+    const [kx, ky] = HANDLE_KEYS[ref.type];
+    const dx = c[kx] - a.x, dy = c[ky] - a.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const ol = Math.hypot(o[okx] - a.x, o[oky] - a.y);
+    const nx = a.x - dx / len * ol, ny = a.y - dy / len * ol;
+    this._offset('edit', oi, okx, oky, nx - o[okx], ny - o[oky]);
+  }
+
+  // ---- Structure edits ----
+  // They change the command list, so the offset layers are baked into the source
+  // first; command indices are the same in the source and the working path.
+  _bake() {
+    this.originalPath = newPath(this.baseCommands());
+    this.layers = { edit: [], random: [] };
+  }
+  // map[old command index] is the new index (missing when the command went), null when
+  // the edit can't tell; no map at all: the commands there were kept where they are
+  _structureChanged(label, map) {
+    if (map !== undefined) this._remapIndices(map);
+    this._rebuild();
+    if (this._batching) return;
+    this.saveState(label);
+    this._emitChanged();
+  }
+
+  // Several structure edits as one undo step
+  batch(fn, label) {
+    this._batching = true;
+    try { fn(); } finally { this._batching = false; }
+    this._structureChanged(label);
+  }
+
+  // What refers to commands by index from outside the outline follows a structure edit:
+  // the points an effect is limited to and the random layers of the timeline keys.
+  // Without a map they are dropped (an effect on points then has none left).
+  _remapIndices(map) {
+    for (const fx of this.effects) {
+      if (fx.points) fx.points = map ? [...new Set(fx.points.map(i => map[i]).filter(i => i !== undefined))] : [];
+    }
+    for (const k of this.keys) {
+      const random = [];
+      if (map) k.random.forEach((o, i) => { if (o && map[i] !== undefined) random[map[i]] = o; });
+      k.random = random;
+    }
+  }
+
+  // Run fn(nodes, hits) on every contour that holds one of the command indices.
+  // hits are node positions; fn edits nodes in place, returning false drops the contour.
+  _editContours(indices, fn, label) {
+    this._bake();
+    const cmds = this.originalPath.commands;
+    const out = [], map = [];
+    let changed = false;
+    for (const ct of contoursOf(cmds)) {
+      const own = indices.filter(i => i >= ct.start && i <= ct.end);
+      if (!own.length) {
+        for (let i = ct.start; i <= ct.end; i++) map[i] = out.length + i - ct.start;
+        out.push(...cmds.slice(ct.start, ct.end + 1));
+        continue;
+      }
+      const nodes = contourNodes(cmds, ct);
+      const hits = new Set();
+      for (const i of own) {
+        const j = nodes.findIndex(n => n.ci.includes(i));
+        hits.add(j !== -1 ? j : 0); // the Z of an implicit closing line is node 0's segment
+      }
+      changed = true;
+      if (fn(nodes, hits, ct) === false || nodes.length < 2) continue;
+      // nodes keep the indices they were read from (ci), the first one also those of the
+      // closing segment, which is written again after the last node when it is a curve
+      const at = out.length;
+      nodes.forEach((n, j) => { for (const i of n.ci) map[i] = at + j; });
+      out.push(...nodesToCommands(nodes, ct.closed));
+      if (ct.closed) {
+        map[ct.end] = out.length - 1;
+        if (out.length - at > nodes.length + 1) for (const i of nodes[0].ci.slice(1)) map[i] = out.length - 2;
+      }
+    }
+    if (!changed) return;
+    this.originalPath = newPath(out);
+    this._structureChanged(label, map);
+  }
+
+  // Insert an anchor at t on the segment ending at command index (a Z means the closing line)
+  insertPoint(index, t) {
+    this._editContours([index], (nodes, hits) => {
+      const j = [...hits][0];
+      const prev = nodes[(j - 1 + nodes.length) % nodes.length], n = nodes[j];
+      if (!n.seg) return;
+      const [a, mid, b] = splitSegment(prev, n.seg, n, t);
+      n.seg = b;
+      nodes.splice(j === 0 ? nodes.length : j, 0, { x: mid.x, y: mid.y, seg: a, ci: [] });
+    }, 'Add point');
+  }
+
+  // Remove anchors, refitting the two segments around each one as a single segment
+  deletePoints(indices) {
+    this._editContours(indices, (nodes, hits, ct) => {
+      for (const j of [...hits].sort((a, b) => b - a)) {
+        if (nodes.length <= 2) return false;
+        const n = nodes[j];
+        const next = nodes[(j + 1) % nodes.length];
+        const prev = nodes[(j - 1 + nodes.length) % nodes.length];
+        if (!ct.closed && j === 0) { next.seg = null; nodes.splice(0, 1); continue; }
+        if (!ct.closed && j === nodes.length - 1) { nodes.pop(); continue; }
+        next.seg = mergeSegments(prev, n.seg, n, next.seg, next);
+        nodes.splice(j, 1);
+      }
+    }, `Delete ${indices.length} point${indices.length === 1 ? '' : 's'}`);
+  }
+
+  // Line <-> curve for the segments ending at the given anchors
+  toggleSegments(indices) {
+    this._editContours(indices, (nodes, hits) => {
+      for (const j of hits) {
+        const n = nodes[j], prev = nodes[(j - 1 + nodes.length) % nodes.length];
+        if (!n.seg) continue;
+        if (n.seg.type === 'L') {
+          n.seg = { type: 'C',
+            x1: prev.x + (n.x - prev.x) / 3, y1: prev.y + (n.y - prev.y) / 3,
+            x2: prev.x + (n.x - prev.x) * 2 / 3, y2: prev.y + (n.y - prev.y) * 2 / 3 };
+        } else {
+          n.seg = { type: 'L' };
+        }
+      }
+    }, 'Line/curve');
+  }
+
+  // Flip the direction of the contours holding the given indices
+  reverseContours(indices) {
+    this._editContours(indices, (nodes, hits, ct) => {
+      nodes.splice(0, nodes.length, ...reverseNodes(nodes, ct.closed));
+    }, 'Reverse contour');
+  }
+
+  // Close open contours (an end point on the start point is merged into it)
+  closeContours(indices) {
+    this._editContours(indices, (nodes, hits, ct) => {
+      if (ct.closed) return;
+      ct.closed = true;
+      const first = nodes[0], last = nodes[nodes.length - 1];
+      if (nodes.length > 2 && Math.hypot(last.x - first.x, last.y - first.y) < 1e-6) {
+        first.seg = last.seg;
+        nodes.pop();
+      } else {
+        first.seg = { type: 'L' };
+      }
+    }, 'Close contour');
+  }
+
+  // Split curves at their x/y extrema; t is measured on the working path so the
+  // new points land on the extremes of what is shown. indices limits the segments.
+  addExtrema(indices = null) {
+    const cuts = new Map(); // command index -> [t]
+    let prev = null;
+    this.editPath.commands.forEach((c, i) => {
+      if ((c.type === 'C' || c.type === 'Q') && prev && (!indices || indices.includes(i))) {
+        const ts = segmentExtrema(prev, c);
+        if (ts.length) cuts.set(i, ts);
+      }
+      prev = c.type === 'Z' ? null : c;
+    });
+    if (!cuts.size) return false;
+    this._editContours([...cuts.keys()], (nodes) => {
+      for (let j = nodes.length - 1; j >= 0; j--) {
+        const n = nodes[j];
+        const key = n.ci.find(ci => cuts.has(ci));
+        if (key === undefined || !n.seg) continue;
+        let from = nodes[(j - 1 + nodes.length) % nodes.length], rest = n.seg, t0 = 0;
+        const pieces = [];
+        for (const t of cuts.get(key)) {
+          const [a, mid, b] = splitSegment(from, rest, n, (t - t0) / (1 - t0));
+          pieces.push({ x: mid.x, y: mid.y, seg: a, ci: [] });
+          rest = b; from = mid; t0 = t;
+        }
+        n.seg = rest;
+        nodes.splice(j === 0 ? nodes.length : j, 0, ...pieces);
+      }
+    }, 'Add extrema');
+    return true;
+  }
+
+  // Drop anchors wherever one curve still follows the outline within `tolerance` (path
+  // units); corners and points at x/y extremes stay. indices limits the contours.
+  // Returns the number of anchors removed.
+  simplify(tolerance, indices = null) {
+    let removed = 0;
+    this._editContours(indices || this.originalPath.commands.map((c, i) => i), (nodes, hits, ct) => {
+      removed += simplifyNodes(nodes, ct.closed, tolerance);
+    }, 'Simplify');
+    return removed;
+  }
+
+  // Turn the handles on both sides of the given anchors into one line (G1) without moving
+  // the anchors; handles keep their length. Joins bent more than maxAngle degrees are left
+  // as corners. Returns the number of anchors smoothed.
+  smoothPoints(indices, maxAngle = 180) {
+    let smoothed = 0;
+    this._editContours(indices, (nodes, hits, ct) => {
+      for (const j of hits) if (smoothNode(nodes, j, ct.closed, maxAngle)) smoothed++;
+    }, 'Smooth');
+    return smoothed;
+  }
+
+  // A copy of this glyph that fn(copy) can edit without history, events or touching this
+  // one: previews of structure edits. Returns { model, result } with fn's return value.
+  dryRun(fn) {
+    const c = new GlyphModel();
+    for (const k of ['char', 'glyph', 'imported', 'advance', '_mix']) c[k] = this[k];
+    // its own state: structure edits remap effect points and keys in place
+    Object.assign(c, copyCommands({ params: this.params, effects: this.effects, spacing: this.spacing, guides: this.guides, keys: this.keys }));
+    c.originalPath = newPath(copyCommands(this.originalPath.commands));
+    c.layers = copyCommands(this.layers);
+    c._batching = true;
+    c._rebuild();
+    return { model: c, result: fn(c) };
+  }
+
+  // Source-space commands (offsets included) of every contour holding one of the indices
+  contourCommands(indices) {
+    const cmds = this.baseCommands();
+    const out = [];
+    for (const ct of contoursOf(cmds)) {
+      if (indices.some(i => i >= ct.start && i <= ct.end)) out.push(...copyCommands(cmds.slice(ct.start, ct.end + 1)));
+    }
+    return out;
+  }
+
+  // Append whole contours (source space), shifted by dx/dy in output space.
+  // Returns the index of the first new command.
+  appendContours(cmds, dx = 0, dy = 0) {
+    const start = this.originalPath.commands.length;
+    const d = this._toSource(dx, dy);
+    this.originalPath.commands.push(...translateCommands(copyCommands(cmds), d.x, d.y));
+    this._structureChanged('Paste');
+    return start;
+  }
+
+  // Pen: append a point in output space, starting a new contour when `start` is set
+  appendPoint(x, y, start) {
+    const p = this._toSourcePoint(x, y);
+    const cmds = this.originalPath.commands;
+    const last = cmds[cmds.length - 1];
+    if (!start && last && last.type === 'Z') start = true;
+    cmds.push({ type: start ? 'M' : 'L', x: p.x, y: p.y });
+    this._structureChanged('Pen point');
+  }
+  closeContour() {
+    const cmds = this.originalPath.commands;
+    if (!cmds.length || cmds[cmds.length - 1].type === 'Z') return;
+    cmds.push({ type: 'Z' });
+    this._structureChanged('Close contour');
+  }
+
+  // Boolean operations on contours, picked by command indices (selection order).
+  // 'removeOverlap', or 'union' with nothing picked, cleans the whole glyph;
+  // subtract/intersect use the contour of the last index as the tool.
+  // Returns false when there is nothing to do.
+  booleanOp(op, indices = []) {
+    if (!paperSetup()) return false;
+    const cmds = this.baseCommands();
+    const contours = contoursOf(cmds);
+    const contourOf = (i) => contours.findIndex(ct => i >= ct.start && i <= ct.end);
+    let out, map = null; // contours left out of the operation keep their commands
+    try {
+      if (op === 'removeOverlap' || (op === 'union' && !indices.length)) {
+        out = removeOverlap(cmds);
+      } else {
+        const picked = [...new Set(indices.map(contourOf).filter(k => k !== -1))];
+        if (picked.length < 2) return false;
+        map = [];
+        const tool = contourOf(indices[indices.length - 1]);
+        const others = picked.filter(k => k !== tool);
+        const res = booleanContours(cmds, others.map(k => contours[k]), contours[tool], op);
+        out = [];
+        contours.forEach((ct, k) => {
+          if (picked.includes(k)) return;
+          for (let i = ct.start; i <= ct.end; i++) map[i] = out.length + i - ct.start;
+          out.push(...cmds.slice(ct.start, ct.end + 1));
+        });
+        out.push(...res);
+      }
+    } catch (err) {
+      console.error('Boolean operation failed:', err);
+      return false;
+    }
+    this.originalPath = newPath(out);
+    this.layers = { edit: [], random: [] };
+    this._structureChanged({ union: 'Union', subtract: 'Subtract', intersect: 'Intersect', removeOverlap: 'Remove overlap' }[op], map);
+    return true;
+  }
+
+  // Replace the random offsets of the points in scope (see randomLayer)
+  randomize(seed = 42, opts = {}) {
+    this.layers.random = this.randomLayer(seed, opts);
+    this._rebuild();
+    this.saveState(`Randomize seed ${seed}`);
+    this._emitChanged();
+  }
+
+  // Random layer for a seed; the same seed, options and outline always give the same layer.
+  // Points out of scope keep their current random offset.
+  randomLayer(seed = 42, opts = {}) {
+    const o = { ...RANDOM_DEFAULTS, ...opts };
+    const cmds = this.originalPath.commands;
+    const layer = o.scope === 'all' ? [] : copyCommands(this.layers.random);
+    const sel = new Set((o.refs || []).map(r => r.index + ':' + r.type));
+    const inScope = (i, type) => o.scope === 'all'
+      || (o.scope === 'anchors' && type === 'anchor')
+      || (o.scope === 'handles' && type !== 'anchor')
+      || (o.scope === 'selection' && sel.has(i + ':' + type));
+
+    // uniform: one draw per coordinate in command order;
+    // smooth: 2D noise along the outline, so neighbouring points move alike
+    let jitter;
+    if (o.mode === 'smooth') {
+      const noise = seededNoise(seed);
+      const pos = outlinePositions(cmds), f = 4 / GLYPH_SIZE; // a wave about every quarter em
+      jitter = (i, type) => {
+        const u = pos[i][type] * f;
+        return { x: (noise(u, 0) - 0.5) * 2 * o.amount, y: (noise(u, 7.3) - 0.5) * 2 * o.amount };
+      };
+    } else {
+      const random = seededRandom(seed);
+      jitter = () => ({ x: (random() - 0.5) * o.amount, y: (random() - 0.5) * o.amount });
+    }
+    const put = (i, type) => {
+      const d = jitter(i, type);
+      if (!inScope(i, type)) return;
+      const [kx, ky] = type === 'anchor' ? ['x', 'y'] : HANDLE_KEYS[type];
+      const e = layer[i] || (layer[i] = {});
+      e[kx] = d.x; e[ky] = d.y;
+    };
+    for (let i = 0; i < cmds.length; i++) {
+      const c = cmds[i];
+      if (c.type !== 'Z') put(i, 'anchor');
+      if (c.type === 'C') { put(i, 'c1'); put(i, 'c2'); }
+      else if (c.type === 'Q') put(i, 'q');
+    }
+
+    // a closing point that repeats the start moves with it, so contours stay closed
+    const base = this.baseCommands(cmds, { edit: this.layers.edit });
+    for (const ct of contoursOf(base)) {
+      for (const nd of contourNodes(base, ct)) {
+        const e = layer[nd.ci[0]] || {};
+        for (const i of nd.ci.slice(1)) layer[i] = { ...layer[i], x: e.x || 0, y: e.y || 0 };
+      }
+    }
+    if (o.keepTangents) keepTangents(base, layer, inScope);
+    return layer;
+  }
+
+  // Keyframes hold the params and the random layer at a time in seconds; one key per time
+  // (recorded in the history, so undoing a structure edit puts their random layers back in step)
+  setKey(t) {
+    this.keys = this.keys.filter(k => Math.abs(k.t - t) > 1e-3);
+    this.keys.push({ t, params: { ...this.params }, random: copyCommands(this.layers.random) });
+    this.keys.sort((a, b) => a.t - b.t);
+    this.saveState('Set key');
+    this._emitChanged();
+  }
+  deleteKey(t) {
+    const n = this.keys.length;
+    this.keys = this.keys.filter(k => Math.abs(k.t - t) > 1e-3);
+    if (this.keys.length === n) return;
+    this.saveState('Delete key');
+    this._emitChanged();
+  }
+
+  // Params and random layer at time t, blended between the keys around it (null without keys)
+  poseAt(t, ease = false) {
+    const K = this.keys;
+    if (!K.length) return null;
+    let i = K.findIndex(k => k.t > t);
+    if (i === -1) i = K.length;
+    const a = K[Math.max(i - 1, 0)], b = K[Math.min(i, K.length - 1)];
+    let u = a === b ? 0 : (t - a.t) / (b.t - a.t);
+    if (ease) u = u * u * (3 - 2 * u);
+    const params = {};
+    for (const k in DEFAULT_PARAMS) params[k] = lerpNumber(a.params[k] ?? DEFAULT_PARAMS[k], b.params[k] ?? DEFAULT_PARAMS[k], u);
+    const n = Math.max(a.random.length, b.random.length);
+    const random = Array.from({ length: n }, (_, j) => {
+      const ra = a.random[j] || {}, rb = b.random[j] || {}, o = {};
+      for (const k of new Set([...Object.keys(ra), ...Object.keys(rb)])) o[k] = lerpNumber(ra[k] || 0, rb[k] || 0, u);
+      return o;
+    });
+    return { params, random };
+  }
+
+  // ---- History ----
+  // A tree of steps. The root holds a full state (source, params, effects, offset layers,
+  // spacing, guides, timeline keys), every other step only its diff from the parent (see diffJSON), so
+  // hundreds of steps stay small. Undo goes to the parent, redo to the child visited
+  // last; an edit made after undoing starts a branch and the old future stays.
+  //   history = { root, head, next, base, steps: { id: { parent, diff, label, name?, time, last?, kind?, lastBefore? } } }
+  // base is the root's state, head the current step, next the id the next step gets; a
+  // slider step (kind) keeps the parent's redo target from before it in lastBefore.
+  _snapshot() {
+    return copyCommands({
+      source: this.originalPath.commands, params: this.params, effects: this.effects,
+      layers: this.layers, spacing: this.spacing, guides: this.guides, keys: this.keys
+    });
+  }
+
+  // Record the current state as a step after the current one, named `label` (or after
+  // what changed). Nothing is recorded when nothing changed, and slider moves in a row
+  // on the same params merge into one step.
+  saveState(label) {
+    const state = this._snapshot();
+    if (!this.history) {
+      this.history = { root: 0, head: 0, next: 1, base: copyCommands(state), steps: { 0: { parent: -1, label: label || 'Original', time: Date.now() } } };
+      this._headState = state;
+      return;
+    }
+    const H = this.history, S = H.steps;
+    let diff = diffJSON(this._headState, state);
+    if (!diff.length) return;
+    const head = S[H.head], kind = label ? null : diffKind(diff);
+    if (kind && head.kind === kind && head.parent !== -1 && head.last === undefined && Date.now() - head.time < 1500) {
+      const before = applyDiff(copyCommands(this._headState), head.diff, -1);
+      diff = diffJSON(before, state);
+      if (!diff.length) { // back where it started, the step goes and redo leads where it did
+        delete S[H.head];
+        const parent = S[head.parent], kids = this.stepChildren()[head.parent] || [];
+        if (S[head.lastBefore]) parent.last = head.lastBefore;
+        else if (kids.length) parent.last = kids[kids.length - 1];
+        else delete parent.last;
+        H.head = head.parent;
+        this._headState = before;
+        return;
+      }
+      Object.assign(head, { diff, label: describeDiff(diff), time: Date.now() });
+      this._headState = state;
+      return;
+    }
+    const id = H.next++;
+    S[id] = { parent: H.head, diff, label: label || describeDiff(diff), time: Date.now() };
+    if (kind) Object.assign(S[id], { kind, lastBefore: head.last });
+    head.last = id;
+    H.head = id;
+    this._headState = state;
+    this._prune();
+  }
+
+  // Put a recorded state back on the model
+  _setState(state) {
+    if (state.source) this.originalPath = newPath(copyCommands(state.source));
+    this.params = { ...DEFAULT_PARAMS, ...state.params };
+    this.effects = state.effects ? copyCommands(state.effects) : defaultEffects();
+    this.layers = copyCommands(state.layers);
+    this.spacing = { shift: 0, advance: 0, ...state.spacing };
+    if (state.guides) this.guides = copyCommands(state.guides);
+    if (state.keys) this.keys = copyCommands(state.keys);
+    this._rebuild();
+  }
+  _load(state) {
+    if (!state) return;
+    this._setState(state);
+    emitModel('loaded', this);
+    this._emitChanged();
+  }
+
+  undo() {
+    const step = this.history?.steps[this.history.head];
+    if (step && step.parent !== -1) this.goTo(step.parent);
+  }
+  redo() {
+    const step = this.history?.steps[this.history.head];
+    if (step && step.last !== undefined) this.goTo(step.last);
+  }
+
+  // Jump to any step; redo then leads back down the way to it
+  goTo(id) {
+    const H = this.history, S = H?.steps;
+    if (!S?.[id] || +id === H.head) return;
+    this._headState = this._walk(this._headState, H.head, +id);
+    H.head = +id;
+    for (let c = +id, p = S[c].parent; p !== -1; c = p, p = S[p].parent) S[p].last = c;
+    this._load(this._headState);
+  }
+
+  // Give a step a name of its own ('' clears it)
+  nameStep(id, name) {
+    const step = this.history?.steps[id];
+    if (!step) return;
+    if (name) step.name = name;
+    else delete step.name;
+    this._emitChanged();
+  }
+
+  // The state of step `to`, from the state of step `from`: up to where their paths to the
+  // root meet, then down
+  _walk(state, from, to) {
+    const S = this.history.steps;
+    const onPath = new Set();
+    for (let a = to; a !== -1; a = S[a].parent) onPath.add(a);
+    state = copyCommands(state);
+    let a = from;
+    for (; !onPath.has(a); a = S[a].parent) applyDiff(state, S[a].diff, -1);
+    const down = [];
+    for (let b = to; b !== a; b = S[b].parent) down.push(b);
+    for (const b of down.reverse()) applyDiff(state, S[b].diff, 1);
+    return state;
+  }
+  stateAt(id) { return this._walk(this._headState, this.history.head, id); }
+
+  // Step ids by parent, oldest child first
+  stepChildren() {
+    const kids = {};
+    for (const id in this.history.steps) {
+      const p = this.history.steps[id].parent;
+      if (p !== -1) (kids[p] = kids[p] || []).push(+id);
+    }
+    for (const p in kids) kids[p].sort((a, b) => a - b);
+    return kids;
+  }
+
+  // Every step with its state, parents first: fn(id, state, step). The state object is
+  // reused, copy it to keep it.
+  eachStep(fn) {
+    const H = this.history, S = H.steps, kids = this.stepChildren();
+    const state = copyCommands(H.base);
+    const visit = (id) => {
+      fn(id, state, S[id]);
+      for (const k of kids[id] || []) {
+        applyDiff(state, S[k].diff, 1);
+        visit(k);
+        applyDiff(state, S[k].diff, -1);
+      }
+    };
+    visit(H.root);
+  }
+
+  // Rewrite every recorded state with fn(state) and diff them again
+  _mapStates(fn) {
+    if (!this.history) return;
+    const H = this.history, states = {};
+    this.eachStep((id, state) => { states[id] = copyCommands(state); fn(states[id]); });
+    H.base = copyCommands(states[H.root]);
+    for (const id in H.steps) if (+id !== H.root) H.steps[id].diff = diffJSON(states[H.steps[id].parent], states[id]);
+    this._headState = states[H.head];
+    H.epoch = (H.epoch || 0) + 1; // thumbnails of the steps are out of date
+  }
+
+  // Over maxHist steps the root gives way to its child toward the current step, and the
+  // branches that split off before it go too
+  _prune() {
+    const H = this.history, S = H.steps;
+    let count = Object.keys(S).length;
+    if (count <= this.maxHist) return;
+    const path = [];
+    for (let a = H.head; a !== -1; a = S[a].parent) path.unshift(a);
+    const kids = this.stepChildren();
+    const drop = (id) => { for (const k of kids[id] || []) drop(k); delete S[id]; count--; };
+    for (let i = 0; count > this.maxHist && i < path.length - 1; i++) {
+      const keep = path[i + 1];
+      for (const k of kids[path[i]]) if (k !== keep) drop(k);
+      delete S[path[i]]; count--;
+      applyDiff(H.base, S[keep].diff, 1);
+      S[keep].parent = -1;
+      delete S[keep].diff;
+      H.root = keep;
+    }
+  }
+
+  // Advance after the effects: the ink grows as their advance hooks say (Width, Weight), sidebearings stay
+  advanceWidth(params = this.params) {
+    const ink = bboxOf(this.mixedSource(params)).w;
+    const mx = params.mix ? this.mixTarget() : null;
+    const advance = mx?.target ? lerpNumber(this.advance, mx.advance, params.mix) : this.advance;
+    let w = ink;
+    for (const fx of this.effects) {
+      const def = EFFECTS[fx.type];
+      if (fx.on && def?.advance) w = def.advance(w, params);
+    }
+    return advance + w - ink + this.spacing.shift + this.spacing.advance;
+  }
+
+  // Space left and right of the ink, in path units
+  sidebearings() {
+    const bb = this.bbox(), adv = this.advanceWidth();
+    if (!this.path.commands.length) return { left: 0, right: adv };
+    return { left: bb.x, right: adv - (bb.x + bb.w) };
+  }
+
+  // Set either sidebearing (null keeps it); changing one leaves the other alone
+  setSidebearings(left, right, record = true) {
+    const sb = this.sidebearings();
+    if (left != null) this.spacing.shift += left - sb.left;
+    if (right != null) this.spacing.advance += right - sb.right;
+    this._rebuild();
+    if (record) this.saveState('Sidebearings');
+    this._emitChanged();
+  }
+
+  // Guides, in output space like the editor; each change is one undo step, moves
+  // are recorded when `record` is set (the editor records at the end of a drag)
+  addGuide(axis, pos) {
+    this.guides.push({ axis, pos });
+    this.saveState('Add guide');
+    this._emitChanged();
+    return this.guides.length - 1;
+  }
+  moveGuide(i, pos, record = true) {
+    if (!this.guides[i]) return;
+    this.guides[i].pos = pos;
+    if (record) this.saveState('Move guide');
+    this._emitChanged();
+  }
+  removeGuide(i) {
+    if (!this.guides[i]) return;
+    this.guides.splice(i, 1);
+    this.saveState('Remove guide');
+    this._emitChanged();
+  }
+  clearGuides() {
+    if (!this.guides.length) return;
+    this.guides = [];
+    this.saveState('Clear guides');
+    this._emitChanged();
+  }
+
+  // Everything needed to rebuild this glyph, history included (see PROJECT)
+  toJSON() {
+    return {
+      char: this.char,
+      imported: this.imported,
+      advance: this.advance,
+      source: this.originalPath.commands,
+      initial: this.initialPath,
+      params: this.params,
+      effects: this.effects,
+      layers: this.layers,
+      spacing: this.spacing,
+      guides: this.guides,
+      keys: this.keys,
+      history: this.history
+    };
+  }
+  loadJSON(d) {
+    this.generate(d.char); // glyph and advance from the current font
+    if (d.imported) { this.imported = true; this.advance = d.advance; }
+    if (d.initial) this.initialPath = copyCommands(d.initial);
+    if (d.source) this.originalPath = newPath(copyCommands(d.source));
+    this.params = { ...DEFAULT_PARAMS, ...d.params };
+    this.effects = d.effects ? copyCommands(d.effects) : defaultEffects();
+    this.layers = { edit: [], random: [], ...copyCommands(d.layers || {}) };
+    this.spacing = { shift: 0, advance: 0, ...d.spacing };
+    this.keys = copyCommands(d.keys || []);
+    this.guides = copyCommands(d.guides || []);
+    this._rebuild();
+    this.history = d.history ? copyCommands(d.history) : null;
+    if (this.history) this._headState = this._walk(this.history.base, this.history.root, this.history.head);
+    else this.saveState('Original');
+  }
+
+  // True once the glyph differs from the font: imported artwork, any param moved, the effect stack changed
+  // or any offset recorded
+  isEdited() {
+    if (this.imported) return true;
+    if (JSON.stringify(this.originalPath.commands) !== JSON.stringify(this.initialPath)) return true;
+    if (JSON.stringify(this.effects) !== JSON.stringify(defaultEffects())) return true;
+    if (Object.keys(DEFAULT_PARAMS).some(k => this.params[k] !== DEFAULT_PARAMS[k])) return true;
+    if (this.spacing.shift || this.spacing.advance) return true;
+    return Object.values(this.layers).some(L => L.some(o => o && Object.values(o).some(v => v !== 0)));
+  }
+
+  bbox() { return bboxOf(this.path.commands); }
+  _emitChanged() { emitModel('changed', this); }
+}
+
+// Coordinate keys of each handle type
+const HANDLE_KEYS = { c1: ['x1', 'y1'], c2: ['x2', 'y2'], q: ['x1', 'y1'] };
+
+// Surprise Me options: amount in path units, mode 'uniform' | 'smooth',
+// scope 'all' | 'anchors' | 'handles' | 'selection' (refs), keepTangents for smooth joins
+const RANDOM_DEFAULTS = { amount: 20, mode: 'uniform', scope: 'all', refs: [], keepTangents: false };
+
+/* =================== EFFECTS (registry and built-ins) =================== */
+// An effect is a named command-list transform with a parameter schema; the panel builds
+// its sliders from the schema. Values live in GlyphModel.params under the schema keys
+// (so undo, keyframes and projects cover them), which therefore must be unique.
+//   registerEffect({
+//     name: 'shear', label: 'Shear',
+//     schema: [{ key: 'shear', label: 'Amount', min: -1, max: 1, step: 0.01, default: 0.2 }],
+//     transform(cmds, p, ctx) { ...; return cmds; }, // ctx.ref: unedited outline at this stage,
+//                                                     // ctx.fx: the stack entry ({type, on, points?})
+//     structural: false,  // true when the point structure changes (cuts, booleans), or (p) => bool
+//     points: false,      // true when it can be limited to selected anchors (ctx.fx.points)
+//     translates: false,  // true when it pushes points along without bending (offsets)
+//     advance(w, p) { return w; } // optional: ink width after the effect, for spacing
+//   });
+// Scripts loaded after this file can register their own effects the same way.
+const EFFECTS = {};
+
+function registerEffect(def) {
+  if (!def?.name || typeof def.transform !== 'function') throw new Error('an effect needs a name and a transform');
+  for (const f of def.schema || []) {
+    const owner = Object.values(EFFECTS).find(e => e.name !== def.name && e.schema.some(g => g.key === f.key));
+    if (owner || f.key === 'mix') throw new Error(`param "${f.key}" of ${def.name} is already used`);
+  }
+  EFFECTS[def.name] = { label: def.name, schema: [], structural: false, translates: false, ...def };
+  for (const f of def.schema || []) DEFAULT_PARAMS[f.key] = f.default;
+  return EFFECTS[def.name];
+}
+
+// Whether an effect changes the point structure with these params
+function effectStructural(def, p) {
+  return typeof def.structural === 'function' ? !!def.structural(p) : def.structural;
+}
+
+// The stack a new glyph starts with
+const DEFAULT_EFFECTS = ['slant', 'scale', 'weight', 'corners', 'roundness'];
+function effectLabel(fx) { return EFFECTS[fx.type]?.label || fx.type; }
+function defaultEffects() { return DEFAULT_EFFECTS.map(type => ({ type, on: true })); }
+
+function scaleAbout(cmds, ox, oy, sx, sy) {
+  for (const c of cmds) {
+    if ('x'  in c) { c.x  = (c.x  - ox) * sx + ox; c.y  = (c.y  - oy) * sy + oy; }
+    if ('x1' in c) { c.x1 = (c.x1 - ox) * sx + ox; c.y1 = (c.y1 - oy) * sy + oy; }
+    if ('x2' in c) { c.x2 = (c.x2 - ox) * sx + ox; c.y2 = (c.y2 - oy) * sy + oy; }
+  }
+  return cmds;
+}
+
+registerEffect({
+  name: 'slant', label: 'Slant',
+  schema: [{ key: 'slant', label: 'Slant', min: -1, max: 1, step: 0.01, default: 0 }],
+  transform(cmds, p) {
+    const tanv = Math.tan(p.slant * (Math.PI / 4));
+    if (tanv !== 0) slantCommands(cmds, tanv);
+    return cmds;
+  }
+});
+
+// scale to bbox (of the unedited outline, so edits don't move the origin)
+registerEffect({
+  name: 'scale', label: 'Scale',
+  schema: [
+    { key: 'width', label: 'Width', min: 0.1, max: 3, step: 0.01, default: 1 },
+    { key: 'height', label: 'Height', min: 0.1, max: 3, step: 0.01, default: 1 }
+  ],
+  transform(cmds, p, ctx) {
+    const bb = bboxOf(ctx.ref);
+    if (bb.w > 0 && bb.h > 0) scaleAbout(cmds, bb.x, bb.y, p.width, p.height);
+    return cmds;
+  },
+  advance: (w, p) => w * p.width
+});
+
+// weight: offset the contours, counters shrink as the outline grows.
+// The value is the change in stem thickness in 1/1000 em.
+registerEffect({
+  name: 'weight', label: 'Weight',
+  schema: [{ key: 'weight', label: 'Weight', min: -50, max: 100, step: 1, default: 0 }],
+  translates: true,
+  transform: (cmds, p) => p.weight !== 0 ? offsetCommands(cmds, p.weight * GLYPH_SIZE / 2000) : cmds,
+  advance: (w, p) => w + p.weight * GLYPH_SIZE / 1000
+});
+
+// corners: fillets on sharp corners, ink traps in acute inner ones (see roundCorners).
+// Radius and trap depth are in font units; only corners under the angle are touched.
+// Selected points are source indices, they hold while no structural effect runs before.
+registerEffect({
+  name: 'corners', label: 'Corners', points: true,
+  structural: (p) => p.cornerRadius > 0 || p.inkTrap > 0,
+  schema: [
+    { key: 'cornerRadius', label: 'Radius', min: 0, max: 200, step: 1, default: 0 },
+    { key: 'inkTrap', label: 'Ink trap', min: 0, max: 150, step: 1, default: 0 },
+    { key: 'cornerAngle', label: 'Corners under (°)', min: 10, max: 179, step: 1, default: 100 }
+  ],
+  transform(cmds, p, ctx) {
+    if (!(p.cornerRadius > 0 || p.inkTrap > 0)) return cmds;
+    return roundCorners(cmds, {
+      radius: p.cornerRadius * fontUnit(), trap: p.inkTrap * fontUnit(), angle: p.cornerAngle,
+      only: ctx.fx.points ? new Set(ctx.fx.points) : null
+    });
+  }
+});
+
+// pull handles toward anchors: curves flatten, corners stay as they are
+registerEffect({
+  name: 'roundness', label: 'Flatten Curves',
+  schema: [{ key: 'roundness', label: 'Amount', min: 0, max: 1, step: 0.01, default: 0 }],
+  transform(cmds, p) {
+    const t = p.roundness;
+    if (t > 0) {
+      for (const c of cmds) {
+        if (c.type === 'C') {
+          c.x1 = lerpNumber(c.x1, c.x, t); c.y1 = lerpNumber(c.y1, c.y, t);
+          c.x2 = lerpNumber(c.x2, c.x, t); c.y2 = lerpNumber(c.y2, c.y, t);
+        } else if (c.type === 'Q') {
+          c.x1 = lerpNumber(c.x1, c.x, t); c.y1 = lerpNumber(c.y1, c.y, t);
+        }
+      }
+    }
+    return cmds;
+  }
+});
+
+// rotation about the centre of the unedited outline
+registerEffect({
+  name: 'rotate', label: 'Rotate',
+  schema: [{ key: 'rotate', label: 'Angle', min: -180, max: 180, step: 1, default: 15 }],
+  transform(cmds, p, ctx) {
+    const bb = bboxOf(ctx.ref), cx = bb.x + bb.w / 2, cy = bb.y + bb.h / 2;
+    const a = p.rotate * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+    const rot = (c, kx, ky) => {
+      const x = c[kx] - cx, y = c[ky] - cy;
+      c[kx] = cx + x * cos - y * sin; c[ky] = cy + x * sin + y * cos;
+    };
+    for (const c of cmds) {
+      if ('x'  in c) rot(c, 'x', 'y');
+      if ('x1' in c) rot(c, 'x1', 'y1');
+      if ('x2' in c) rot(c, 'x2', 'y2');
+    }
+    return cmds;
+  }
+});
+
+// vertical sine wave along x; handles move with the wave at their own x
+registerEffect({
+  name: 'wave', label: 'Wave',
+  schema: [
+    { key: 'waveAmp', label: 'Amplitude', min: 0, max: 10, step: 0.1, default: 2 },
+    { key: 'waveLength', label: 'Wavelength', min: 4, max: 100, step: 1, default: 24 },
+    { key: 'wavePhase', label: 'Phase', min: 0, max: 1, step: 0.01, default: 0 }
+  ],
+  transform(cmds, p) {
+    const dy = (x) => p.waveAmp * Math.sin(2 * Math.PI * (x / p.waveLength + p.wavePhase));
+    for (const c of cmds) {
+      if ('x'  in c) c.y  += dy(c.x);
+      if ('x1' in c) c.y1 += dy(c.x1);
+      if ('x2' in c) c.y2 += dy(c.x2);
+    }
+    return cmds;
+  }
+});
+
+// stencil: a vertical gap through the middle of every counter, so the letter would
+// still hold together when cut from a sheet
+registerEffect({
+  name: 'stencil', label: 'Stencil', structural: true,
+  schema: [{ key: 'stencilGap', label: 'Gap', min: 0.5, max: 10, step: 0.1, default: 2 }],
+  transform(cmds, p) {
+    if (!paperSetup()) return cmds;
+    const cts = contoursOf(cmds).filter(ct => ct.closed);
+    const polys = cts.map(ct => flattenContour(cmds, ct));
+    const bb = bboxOf(cmds);
+    let res = commandsToPaper(cmds).unite(new paper.Path({ insert: false }), { insert: false });
+    cts.forEach((ct, k) => {
+      if (!contourIsHole(polys, k)) return;
+      const hb = bboxOf(cmds.slice(ct.start, ct.end + 1)), x = hb.x + hb.w / 2;
+      const cut = new paper.Path.Rectangle({ from: [x - p.stencilGap / 2, bb.y - 1], to: [x + p.stencilGap / 2, bb.y + bb.h + 1], insert: false });
+      res = res.subtract(cut, { insert: false });
+    });
+    res.reorient(true, outerClockwise(cmds));
+    return paperToCommands(res);
+  }
+});
+
+// inline: a thin channel running inside the strokes, at a distance from the edge
+registerEffect({
+  name: 'inline', label: 'Inline', structural: true,
+  schema: [
+    { key: 'inlineDepth', label: 'Depth', min: 0.2, max: 6, step: 0.1, default: 1.5 },
+    { key: 'inlineWidth', label: 'Line width', min: 0.2, max: 4, step: 0.1, default: 0.8 }
+  ],
+  transform(cmds, p) {
+    if (!paperSetup()) return cmds;
+    const solid = (c) => commandsToPaper(c).unite(new paper.Path({ insert: false }), { insert: false });
+    const outer = solid(cmds);
+    const a = solid(offsetCommands(cmds, -p.inlineDepth));
+    const b = solid(offsetCommands(cmds, -(p.inlineDepth + p.inlineWidth)));
+    const res = outer.subtract(a, { insert: false }).unite(b, { insert: false });
+    res.reorient(true, outerClockwise(cmds));
+    return paperToCommands(res);
+  }
+});
+
+/* =================== Utilities =================== */
+function newPath(cmds=[]) { const p = typeof opentype!=='undefined' ? new opentype.Path() : { commands: [] }; p.commands = cmds; return p; }
+function copyCommands(cmds) { return JSON.parse(JSON.stringify(cmds||[])); }
+function translateCommands(cmds, dx, dy) {
+  for (const c of cmds) {
+    if ('x'  in c) { c.x  += dx; c.y  += dy; }
+    if ('x1' in c) { c.x1 += dx; c.y1 += dy; }
+    if ('x2' in c) { c.x2 += dx; c.y2 += dy; }
+  }
+  return cmds;
+}
+function scaleCommands(cmds, sx, sy = sx) {
+  for (const c of cmds) {
+    if ('x'  in c) { c.x  *= sx; c.y  *= sy; }
+    if ('x1' in c) { c.x1 *= sx; c.y1 *= sy; }
+    if ('x2' in c) { c.x2 *= sx; c.y2 *= sy; }
+  }
+  return cmds;
+}
+function slantCommands(cmds, tanv) {
+  for (const c of cmds) {
+    if ('x'  in c && 'y'  in c) c.x  += c.y  * tanv;
+    if ('x1' in c && 'y1' in c) c.x1 += c.y1 * tanv;
+    if ('x2' in c && 'y2' in c) c.x2 += c.y2 * tanv;
+  }
+  return cmds;
+}
+function bboxOf(cmds) {
+  if (typeof opentype === 'undefined') return { x:0, y:0, w:100, h:100 };
+  const p = new opentype.Path(); p.commands = copyCommands(cmds);
+  const b = p.getBoundingBox?.();
+  if (!b || !isFinite(b.x1) || !isFinite(b.y1) || !isFinite(b.x2) || !isFinite(b.y2))
+    return { x:0, y:0, w:0, h:0 };
+  return { x:b.x1, y:b.y1, w:b.x2 - b.x1, h:b.y2 - b.y1 };
+}
+// One font unit in path units (1 when there is no font)
+function fontUnit() { return font ? GLYPH_SIZE / font.unitsPerEm : 1; }
+
+// Vertical metrics of the loaded font as y positions in path units (y down, baseline 0).
+// OS/2 x-height and cap height are missing from old fonts, then 'x' and 'H' are measured.
+function fontMetrics() {
+  if (!font) return { baseline: 0 };
+  if (fontMetrics.cache?.font === font) return fontMetrics.cache.value;
+  const k = fontUnit();
+  const os2 = font.tables.os2 || {}, hhea = font.tables.hhea || {};
+  const top = (ch) => { const g = font.charToGlyph(ch); return g && g.index ? g.getBoundingBox().y2 : 0; };
+  const value = {
+    ascender: -(hhea.ascender ?? font.ascender) * k,
+    capHeight: -(os2.sCapHeight || top('H')) * k,
+    xHeight: -(os2.sxHeight || top('x')) * k,
+    baseline: 0,
+    descender: -(hhea.descender ?? font.descender) * k
+  };
+  fontMetrics.cache = { font, value };
+  return value;
+}
+
+/* =================== History diffs =================== */
+// A step of the history keeps only what changed from its parent, as a list of ops:
+//   { p: path, a: before, b: after }      a value set (a missing a or b: the key is absent)
+//   { p: path, s: index, a: [], b: [] }  items of an array replaced, like splice()
+// Arrays of the same length are compared item by item; otherwise the common start and
+// end are kept and only the middle is stored, so inserting a point costs one op.
+function cloneValue(v) { return v === undefined ? undefined : JSON.parse(JSON.stringify(v)); }
+function isObject(v) { return v !== null && typeof v === 'object'; }
+
+function diffJSON(a, b, path = [], out = []) {
+  if (a === b) return out;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length === b.length) a.forEach((v, i) => diffJSON(v, b[i], [...path, i], out));
+    else {
+      const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+      let i = 0, j = 0;
+      while (i < a.length && i < b.length && same(a[i], b[i])) i++;
+      while (j < a.length - i && j < b.length - i && same(a[a.length - 1 - j], b[b.length - 1 - j])) j++;
+      out.push({ p: path, s: i, a: cloneValue(a.slice(i, a.length - j)), b: cloneValue(b.slice(i, b.length - j)) });
+    }
+  }
+  else if (isObject(a) && isObject(b) && !Array.isArray(a) && !Array.isArray(b)) {
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) diffJSON(a[k], b[k], [...path, k], out);
+  }
+  else if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ p: path, a: cloneValue(a), b: cloneValue(b) });
+  return out;
+}
+
+// Apply a diff to `state` in place, forward (dir 1) or back (dir -1)
+function applyDiff(state, diff, dir = 1) {
+  const ops = dir > 0 ? diff : [...diff].reverse();
+  for (const op of ops) {
+    const from = dir > 0 ? op.a : op.b, to = dir > 0 ? op.b : op.a;
+    if ('s' in op) {
+      const arr = op.p.reduce((o, k) => o[k], state);
+      arr.splice(op.s, from.length, ...cloneValue(to));
+      continue;
+    }
+    const parent = op.p.slice(0, -1).reduce((o, k) => o[k], state), key = op.p[op.p.length - 1];
+    if (to === undefined) delete parent[key];
+    else parent[key] = cloneValue(to);
+  }
+  return state;
+}
+
+// Label of an effect param, "Scale: Width", or just "Slant" when the effect has one of that name
+function paramLabel(key) {
+  if (key === 'mix') return 'Mix';
+  for (const def of Object.values(EFFECTS)) {
+    const f = def.schema.find(f => f.key === key);
+    if (f) return f.label === def.label ? f.label : `${def.label}: ${f.label}`;
+  }
+  return key;
+}
+
+// Steps saved without a label get one from what they changed
+function describeDiff(diff) {
+  const parts = new Set(diff.map(op => op.p[0]));
+  if (parts.size > 1) return 'Edit';
+  switch ([...parts][0]) {
+    case 'params': {
+      const keys = [...new Set(diff.map(op => op.p[1]))];
+      if (keys.length > 1) return keys.map(paramLabel).join(', ');
+      const v = diff[diff.length - 1].b;
+      return typeof v === 'number' ? `${paramLabel(keys[0])} ${+v.toFixed(2)}` : paramLabel(keys[0]);
+    }
+    case 'effects': return 'Effects';
+    case 'source': return 'Edit outline';
+    case 'layers': return 'Edit points';
+    case 'spacing': return 'Spacing';
+    case 'guides': return 'Guides';
+    case 'keys': return 'Keys';
+    default: return 'Edit';
+  }
+}
+
+// Steps that only move the same params (a slider being dragged) merge into one
+function diffKind(diff) {
+  if (!diff.every(op => op.p[0] === 'params' && op.p.length === 2)) return null;
+  return 'params:' + [...new Set(diff.map(op => op.p[1]))].sort().join(',');
+}
+
+// The undo and redo stacks of older projects as a history without branches
+function historyFromStacks(undo = [], redo = []) {
+  const states = [...undo, ...[...redo].reverse()];
+  if (!states.length) return null;
+  const steps = { 0: { parent: -1, label: 'Original', time: 0 } };
+  for (let i = 1; i < states.length; i++) {
+    const diff = diffJSON(states[i - 1], states[i]);
+    steps[i] = { parent: i - 1, diff, label: describeDiff(diff), time: 0 };
+    steps[i - 1].last = i;
+  }
+  return { root: 0, head: Math.max(0, undo.length - 1), next: states.length, base: cloneValue(states[0]), steps };
+}
+
+/* =================== SVG and PDF =================== */
+function svgPathData(cmds, decimals = 5) { return newPath(cmds).toPathData(decimals); }
+
+// Standalone SVG of an outline; even-odd so counters are preserved
+function svgDocument(cmds, pad = 20) {
+  const bb = bboxOf(cmds);
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${bb.x - pad} ${bb.y - pad} ${bb.w + pad*2} ${bb.h + pad*2}">
+  <path d="${svgPathData(cmds)}" fill="black" fill-rule="evenodd"/>
+</svg>`;
+}
+
+// Single-page vector PDF of an outline, even-odd filled like svgDocument(). scale is
+// points per path unit, pad in points; colours are '#rrggbb', no background leaves the
+// page transparent.
+function pdfDocument(cmds, { scale = 1, pad = 20, fill = '#000000', background = null } = {}) {
+  const bb = bboxOf(cmds);
+  const W = bb.w * scale + pad * 2, H = bb.h * scale + pad * 2;
+  const n = (v) => String(+v.toFixed(4));
+  const rgb = (hex) => [1, 3, 5].map(i => n(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+  const ops = [];
+  if (background) ops.push(`${rgb(background)} rg 0 0 ${n(W)} ${n(H)} re f`);
+  // y down like the glyph: flip the page, then path units to points
+  ops.push(`${rgb(fill)} rg`, `1 0 0 -1 0 ${n(H)} cm`, `${n(scale)} 0 0 ${n(scale)} ${n(pad - bb.x * scale)} ${n(pad - bb.y * scale)} cm`);
+  let last = null;
+  for (const c of cmds) {
+    if (c.type === 'M') ops.push(`${n(c.x)} ${n(c.y)} m`);
+    else if (c.type === 'L') ops.push(`${n(c.x)} ${n(c.y)} l`);
+    else if (c.type === 'C') ops.push(`${n(c.x1)} ${n(c.y1)} ${n(c.x2)} ${n(c.y2)} ${n(c.x)} ${n(c.y)} c`);
+    else if (c.type === 'Q') {
+      // PDF has no quadratic segments, raise it to a cubic
+      const q = (a, b) => a + (b - a) * 2 / 3;
+      ops.push(`${n(q(last.x, c.x1))} ${n(q(last.y, c.y1))} ${n(q(c.x, c.x1))} ${n(q(c.y, c.y1))} ${n(c.x)} ${n(c.y)} c`);
+    }
+    else if (c.type === 'Z') ops.push('h');
+    if (c.type !== 'Z') last = c;
+  }
+  if (cmds.length) ops.push('f*');
+  const stream = ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(W)} ${n(H)}] /Resources << >> /Contents 4 0 R >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((o, i) => { const at = pdf.length; pdf += `${i + 1} 0 obj\n${o}\nendobj\n`; return at; });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
+
+// SVG markup (or an <svg> element) -> commands in the drawing's own coordinates, y down.
+// paper.js reads it, so arcs, relative commands, basic shapes and nested transforms all
+// arrive as plain paths. paper.js needs a browser DOM for this; see svgItemCommands() for Node.
+function svgToCommands(svg, clockwise = outlineClockwise()) {
+  if (!paperSetup()) throw new Error('SVG import needs paper.js');
+  const root = paper.project.importSVG(svg, { insert: false, expandShapes: true });
+  if (!root) throw new Error('not an SVG file');
+  const out = svgItemCommands(root, clockwise);
+  if (!out.length) throw new Error('no paths in the SVG');
+  return out;
+}
+
+// Commands of the paths in a paper.js item. Filled shapes get the direction validateOutline()
+// expects for the same font (outside clockwise as outlineClockwise() says, holes the other
+// way); stroked-only paths are kept as drawn.
+function svgItemCommands(root, clockwise = outlineClockwise()) {
+  if (!paperSetup()) throw new Error('SVG import needs paper.js');
+  const top = (it) => it instanceof paper.PathItem && !(it.parent instanceof paper.CompoundPath);
+  const items = top(root) ? [root] : root.getItems({ match: top });
+  const out = [];
+  for (const it of items) {
+    if (it.clipMask || !it.visible || !it.pathData) continue;
+    const cp = new paper.CompoundPath({ pathData: it.pathData, insert: false });
+    cp.transform(it.globalMatrix);
+    for (const c of [...cp.children]) if (c.segments.length < 2) c.remove();
+    if (!cp.children.length) continue;
+    if (it.hasFill()) cp.reorient(it.fillRule !== 'evenodd', clockwise);
+    out.push(...paperToCommands(cp));
+  }
+  return out;
+}
+
+/* =================== Outline geometry =================== */
+// Contours of a command list: { start, end, closed }, start is the M index,
+// end the last command of the contour (the Z when closed).
+function contoursOf(cmds) {
+  const out = [];
+  let cur = null;
+  for (let i = 0; i < cmds.length; i++) {
+    const c = cmds[i];
+    if (c.type === 'M') { if (cur) out.push(cur); cur = { start: i, end: i, closed: false }; }
+    else if (cur) {
+      cur.end = i;
+      if (c.type === 'Z') { cur.closed = true; out.push(cur); cur = null; }
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// Point on the segment ending in command c, starting at p0
+function segPoint(p0, c, t) {
+  const u = 1 - t;
+  if (c.type === 'C') return {
+    x: u*u*u*p0.x + 3*u*u*t*c.x1 + 3*u*t*t*c.x2 + t*t*t*c.x,
+    y: u*u*u*p0.y + 3*u*u*t*c.y1 + 3*u*t*t*c.y2 + t*t*t*c.y
+  };
+  if (c.type === 'Q') return {
+    x: u*u*p0.x + 2*u*t*c.x1 + t*t*c.x,
+    y: u*u*p0.y + 2*u*t*c.y1 + t*t*c.y
+  };
+  return { x: p0.x + (c.x - p0.x) * t, y: p0.y + (c.y - p0.y) * t };
+}
+
+// Distance from point q to the line segment a-b
+function distToSegment(q, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y, l2 = dx * dx + dy * dy;
+  const t = l2 > 0 ? Math.max(0, Math.min(1, ((q.x - a.x) * dx + (q.y - a.y) * dy) / l2)) : 0;
+  return Math.hypot(q.x - a.x - dx * t, q.y - a.y - dy * t);
+}
+
+// Polyline approximation of one contour (curves sampled `steps` times)
+function flattenContour(cmds, ct, steps = 8) {
+  const pts = [];
+  let prev = null;
+  for (let i = ct.start; i <= ct.end; i++) {
+    const c = cmds[i];
+    if (c.type === 'Z') break;
+    if ((c.type === 'C' || c.type === 'Q') && prev) {
+      for (let k = 1; k <= steps; k++) pts.push(segPoint(prev, c, k / steps));
+    } else {
+      pts.push({ x: c.x, y: c.y });
+    }
+    prev = c;
+  }
+  return pts;
+}
+
+function polygonArea(pts) {
+  let a = 0;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) a += pts[j].x * pts[i].y - pts[i].x * pts[j].y;
+  return a / 2;
+}
+
+function pointInPolygon(x, y, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i], b = pts[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// A contour is a counter when an odd number of other contours surround it
+function contourIsHole(polys, k) {
+  const p = polys[k][0];
+  if (!p) return false;
+  let n = 0;
+  for (let j = 0; j < polys.length; j++) if (j !== k && pointInPolygon(p.x, p.y, polys[j])) n++;
+  return n % 2 === 1;
+}
+
+// Distance along the outline of every point ({anchor, c1, c2, q}), contours one after
+// another with a gap, so noise sampled there varies smoothly around each contour
+function outlinePositions(cmds) {
+  const pos = [];
+  let s = 0, prev = null;
+  for (let i = 0; i < cmds.length; i++) {
+    const c = cmds[i];
+    if (c.type === 'M') { s += GLYPH_SIZE * 3; prev = c; pos[i] = { anchor: s }; continue; }
+    if (c.type === 'Z' || !prev) { pos[i] = {}; continue; }
+    const net = [prev, ...(c.type === 'C' ? [{ x: c.x1, y: c.y1 }, { x: c.x2, y: c.y2 }] : c.type === 'Q' ? [{ x: c.x1, y: c.y1 }] : []), c];
+    let poly = 0;
+    for (let k = 1; k < net.length; k++) poly += Math.hypot(net[k].x - net[k - 1].x, net[k].y - net[k - 1].y);
+    const len = (poly + Math.hypot(c.x - prev.x, c.y - prev.y)) / 2;
+    pos[i] = { c1: s + len / 3, c2: s + len * 2 / 3, q: s + len / 2, anchor: s + len };
+    s += len; prev = c;
+  }
+  return pos;
+}
+
+// Joins that are smooth in `base` stay smooth once the offsets in `layer` are added:
+// handles out of scope follow their anchor, then every smooth anchor goes back onto
+// the line through its two handles, at the same ratio as before.
+function keepTangents(base, layer, inScope) {
+  const joins = [];
+  for (const ct of contoursOf(base)) {
+    const nodes = contourNodes(base, ct);
+    nodes.forEach((nd, k) => {
+      if (!ct.closed && (k === 0 || k === nodes.length - 1)) return;
+      const next = nodes[(k + 1) % nodes.length];
+      const curve = (i) => base[i].type === 'C' || base[i].type === 'Q';
+      const inI = nd.ci.find(curve), outI = next.ci.find(curve);
+      if (inI === undefined || outI === undefined) return;
+      const inK = base[inI].type === 'C' ? ['x2', 'y2', 'c2'] : ['x1', 'y1', 'q'];
+      const outK = base[outI].type === 'C' ? ['x1', 'y1', 'c1'] : ['x1', 'y1', 'q'];
+      const u = { x: nd.x - base[inI][inK[0]], y: nd.y - base[inI][inK[1]] };
+      const v = { x: base[outI].x1 - nd.x, y: base[outI].y1 - nd.y };
+      const lu = Math.hypot(u.x, u.y), lv = Math.hypot(v.x, v.y);
+      if (lu < 1e-6 || lv < 1e-6) return;
+      if (Math.abs(u.x * v.y - u.y * v.x) > 0.02 * lu * lv || u.x * v.x + u.y * v.y <= 0) return;
+      joins.push({ ci: nd.ci, ends: [[inI, inK], [outI, outK]], t: lu / (lu + lv) });
+    });
+  }
+
+  const follow = new Map(); // handle -> offsets of the smooth anchors it belongs to
+  for (const j of joins) {
+    const e = layer[j.ci[0]] || {};
+    for (const [i, K] of j.ends) {
+      if (inScope(i, K[2])) continue;
+      const key = i + K[0];
+      if (!follow.has(key)) follow.set(key, { i, K, ds: [] });
+      follow.get(key).ds.push({ x: e.x || 0, y: e.y || 0 });
+    }
+  }
+  for (const { i, K, ds } of follow.values()) {
+    const e = layer[i] || (layer[i] = {});
+    e[K[0]] = ds.reduce((s, d) => s + d.x, 0) / ds.length;
+    e[K[1]] = ds.reduce((s, d) => s + d.y, 0) / ds.length;
+  }
+
+  const at = (i, kx, ky) => ({ x: base[i][kx] + (layer[i]?.[kx] || 0), y: base[i][ky] + (layer[i]?.[ky] || 0) });
+  for (const j of joins) {
+    const [[i0, K0], [i1, K1]] = j.ends;
+    const h0 = at(i0, K0[0], K0[1]), h1 = at(i1, K1[0], K1[1]);
+    for (const i of j.ci) {
+      const e = layer[i] || (layer[i] = {});
+      e.x = h0.x + (h1.x - h0.x) * j.t - base[i].x;
+      e.y = h0.y + (h1.y - h0.y) * j.t - base[i].y;
+    }
+  }
+}
+
+/* =================== Outline validation =================== */
+// Problems that break downstream font tools. Outer contours are expected to run the way
+// the font's outline format wants them (see outlineClockwise), counters the other way.
+const DUPLICATE_TOL = 0.05;   // path units, ~0.7 font units at 1000 upm
+
+// True when outer contours of the font run clockwise: TrueType (glyf) fonts wind them
+// clockwise, CFF and CFF2 ones counter-clockwise. A glyph turns the same way on screen
+// as in font units, so this holds for path units too. No font: TrueType.
+function outlineClockwise(f = font) { return f?.outlinesFormat !== 'cff'; }
+
+const ISSUE_KINDS = {
+  direction:  { color: '#f80',    fix: 'Reverse', run: (m, is) => m.reverseContours([is.index]) },
+  open:       { color: '#a0f',    fix: 'Close',   run: (m, is) => m.closeContours([is.index]) },
+  zero:       { color: '#e00',    fix: 'Remove',  run: (m, is) => m.deletePoints([is.index]) },
+  duplicate:  { color: '#e00',    fix: 'Merge',   run: (m, is) => m.deletePoints([is.index]) },
+  extremum:   { color: '#d0a',    fix: 'Add',     run: (m, is) => m.addExtrema([is.index]) },
+  crossing:   { color: '#c00',    fix: 'Remove overlap', run: (m) => m.booleanOp('removeOverlap') },
+};
+
+function validateOutline(cmds, clockwise = outlineClockwise()) {
+  const issues = [];
+  const contours = contoursOf(cmds);
+  const polys = contours.map(ct => flattenContour(cmds, ct));
+
+  contours.forEach((ct, k) => {
+    const first = cmds[ct.start];
+    if (!ct.closed) {
+      issues.push({ kind: 'open', index: ct.start, x: first.x, y: first.y, message: 'Open contour, no closing Z' });
+    } else {
+      const area = polygonArea(polys[k]);
+      const hole = contourIsHole(polys, k);
+      // y points down, positive area is clockwise on screen
+      if (Math.abs(area) > 1e-6 && ((area > 0) === clockwise) === hole) {
+        issues.push({ kind: 'direction', index: ct.start, contour: k, x: first.x, y: first.y,
+          message: hole ? 'Counter runs the same way as its outer contour' : 'Outer contour runs the wrong way' });
+      }
+    }
+
+    const nodes = contourNodes(cmds, ct);
+    nodes.forEach((n, j) => {
+      if (!n.seg) return;
+      const p = nodes[(j - 1 + nodes.length) % nodes.length];
+      const index = n.ci[n.ci.length - 1];
+      const d = Math.hypot(n.x - p.x, n.y - p.y);
+      const seg = { ...n.seg, x: n.x, y: n.y };
+      const handlesOnPoint = !('x1' in seg) || [seg.x1 - n.x, seg.y1 - n.y, (seg.x2 ?? n.x) - n.x, (seg.y2 ?? n.y) - n.y].every(v => Math.abs(v) < 1e-6);
+      if (d < 1e-6 && handlesOnPoint) {
+        issues.push({ kind: 'zero', index, x: n.x, y: n.y, message: 'Zero-length segment' });
+      } else if (d < DUPLICATE_TOL && handlesOnPoint) {
+        issues.push({ kind: 'duplicate', index, x: n.x, y: n.y, message: 'Duplicate point' });
+      } else if (seg.type === 'C' || seg.type === 'Q') {
+        for (const t of segmentExtrema(p, seg)) {
+          const e = segPoint(p, seg, t);
+          issues.push({ kind: 'extremum', index, x: e.x, y: e.y, message: 'Missing point at extremum' });
+        }
+      }
+    });
+  });
+
+  // crossings: inside a contour, and between contours (needs paper.js)
+  if (paperSetup()) {
+    const closed = contours.map((ct, k) => ({ ct, k })).filter(o => o.ct.closed);
+    const paths = closed.map(o => contourToPaper(cmds, o.ct));
+    paths.forEach((p, a) => {
+      for (const loc of p.getCrossings()) {
+        issues.push({ kind: 'crossing', index: closed[a].ct.start, x: loc.point.x, y: loc.point.y, message: 'Contour crosses itself' });
+      }
+      for (let b = a + 1; b < paths.length; b++) {
+        for (const loc of p.getCrossings(paths[b])) {
+          issues.push({ kind: 'crossing', index: closed[a].ct.start, x: loc.point.x, y: loc.point.y, message: 'Contours overlap' });
+        }
+      }
+    });
+  }
+  return issues;
+}
+
+// t values (0..1, sorted) where a curve reaches an x or y extreme between its ends
+// without an anchor there; tiny bulges under `tol` are ignored
+function segmentExtrema(p0, c, tol = 0.05) {
+  const ts = [];
+  for (const [k, k1, k2] of [['x', 'x1', 'x2'], ['y', 'y1', 'y2']]) {
+    const a0 = p0[k], a3 = c[k];
+    let roots = [];
+    if (c.type === 'C') {
+      const d0 = c[k1] - a0, d1 = c[k2] - c[k1], d2 = a3 - c[k2];
+      const A = d0 - 2 * d1 + d2, B = 2 * (d1 - d0), C = d0;
+      if (Math.abs(A) < 1e-12) { if (Math.abs(B) > 1e-12) roots = [-C / B]; }
+      else {
+        const disc = B * B - 4 * A * C;
+        if (disc >= 0) { const r = Math.sqrt(disc); roots = [(-B + r) / (2 * A), (-B - r) / (2 * A)]; }
+      }
+    } else if (c.type === 'Q') {
+      const den = a0 - 2 * c[k1] + a3;
+      if (Math.abs(den) > 1e-12) roots = [(a0 - c[k1]) / den];
+    }
+    for (const t of roots) {
+      if (!(t > 0.001 && t < 0.999)) continue;
+      const v = segPoint(p0, c, t)[k];
+      if (v > Math.max(a0, a3) + tol || v < Math.min(a0, a3) - tol) ts.push(t);
+    }
+  }
+  return ts.sort((a, b) => a - b).filter((t, i, arr) => i === 0 || t - arr[i - 1] > 1e-4);
+}
+
+/* =================== Contour nodes (structure editing) =================== */
+// A contour as a list of nodes: an anchor with the segment leading into it,
+// { x, y, seg: { type, x1, y1, x2, y2 } | null, ci: [command indices] }.
+// In a closed contour node 0's segment is the closing one (an implicit line or the
+// last segment when that lands on the start point).
+function contourNodes(cmds, ct) {
+  const nodes = [];
+  for (let i = ct.start; i <= ct.end; i++) {
+    const c = cmds[i];
+    if (c.type === 'Z') break;
+    nodes.push({ x: c.x, y: c.y, seg: c.type === 'M' ? null : segOf(c), ci: [i] });
+  }
+  if (ct.closed && nodes.length > 1) {
+    const first = nodes[0], last = nodes[nodes.length - 1];
+    if (Math.hypot(last.x - first.x, last.y - first.y) < 1e-6) {
+      nodes.pop();
+      first.seg = last.seg;
+      first.ci.push(...last.ci);
+    } else {
+      first.seg = { type: 'L' };
+    }
+  }
+  return nodes;
+}
+
+function segOf(c) {
+  const s = { type: c.type };
+  if ('x1' in c) { s.x1 = c.x1; s.y1 = c.y1; }
+  if ('x2' in c) { s.x2 = c.x2; s.y2 = c.y2; }
+  return s;
+}
+
+function nodesToCommands(nodes, closed) {
+  const out = [];
+  nodes.forEach((n, j) => out.push(j === 0 ? { type: 'M', x: n.x, y: n.y } : { ...n.seg, x: n.x, y: n.y }));
+  if (closed) {
+    const f = nodes[0];
+    if (f.seg && f.seg.type !== 'L') out.push({ ...f.seg, x: f.x, y: f.y });
+    out.push({ type: 'Z' });
+  }
+  return out;
+}
+
+// Split the segment p0 -> p1 at t (de Casteljau): [first segment, new anchor, second segment]
+function splitSegment(p0, seg, p1, t) {
+  const L = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  if (seg.type === 'C') {
+    const c1 = { x: seg.x1, y: seg.y1 }, c2 = { x: seg.x2, y: seg.y2 };
+    const a = L(p0, c1), b = L(c1, c2), c = L(c2, p1);
+    const ab = L(a, b), bc = L(b, c), m = L(ab, bc);
+    return [{ type: 'C', x1: a.x, y1: a.y, x2: ab.x, y2: ab.y }, m, { type: 'C', x1: bc.x, y1: bc.y, x2: c.x, y2: c.y }];
+  }
+  if (seg.type === 'Q') {
+    const c1 = { x: seg.x1, y: seg.y1 };
+    const a = L(p0, c1), b = L(c1, p1), m = L(a, b);
+    return [{ type: 'Q', x1: a.x, y1: a.y }, m, { type: 'Q', x1: b.x, y1: b.y }];
+  }
+  return [{ type: 'L' }, L(p0, p1), { type: 'L' }];
+}
+
+// One segment p0 -> p2 replacing p0 -> p1 -> p2, fitted to the old shape
+function mergeSegments(p0, segA, p1, segB, p2) {
+  if (segA.type === 'L' && segB.type === 'L') return { type: 'L' };
+  const ta = segTangents(p0, { ...segA, x: p1.x, y: p1.y });
+  const tb = segTangents(p1, { ...segB, x: p2.x, y: p2.y });
+  if (!ta.ts) return { ...segB };   // zero-length segments just disappear
+  if (!tb.te) return { ...segA };
+  const pts = [];
+  for (let k = 0; k <= 16; k++) pts.push(segPoint(p0, { ...segA, x: p1.x, y: p1.y }, k / 16));
+  for (let k = 1; k <= 16; k++) pts.push(segPoint(p1, { ...segB, x: p2.x, y: p2.y }, k / 16));
+  return fitCubic(pts, ta.ts, { x: -tb.te.x, y: -tb.te.y });
+}
+
+// Remove nodes, best fit first, while a single segment stays within tol of the original
+// outline. Every segment keeps the samples of the outline it replaced, so the error is
+// always measured against the starting shape and never piles up. Returns the count removed.
+function simplifyNodes(nodes, closed, tol) {
+  const N = () => nodes.length;
+  const prevOf = (j) => nodes[(j - 1 + N()) % N()];
+  nodes.forEach((n, j) => {
+    if (!n.seg || (!closed && j === 0)) return;
+    const p = prevOf(j), c = { ...n.seg, x: n.x, y: n.y };
+    n.pts = [];
+    for (let k = 1; k <= 16; k++) n.pts.push(segPoint(p, c, k / 16));
+  });
+  // the segment replacing node j and the two around it, with its error; null when j stays
+  const candidate = (j) => {
+    if (!closed && (j === 0 || j === N() - 1)) return null;
+    const n = nodes[j], p = prevOf(j), next = nodes[(j + 1) % N()];
+    if (!n.seg || !next.seg) return null;
+    const ta = segTangents(p, { ...n.seg, x: n.x, y: n.y });
+    const tb = segTangents(n, { ...next.seg, x: next.x, y: next.y });
+    const curved = n.seg.type !== 'L' || next.seg.type !== 'L';
+    if (curved && ta.ts && tb.te && ta.te && tb.ts) {
+      // extremes stay: a smooth join with a level or plumb tangent
+      const t = ta.te;
+      if ((Math.abs(t.x) < 0.02 || Math.abs(t.y) < 0.02) && t.x * tb.ts.x + t.y * tb.ts.y > 0.999) return null;
+    }
+    const pts = [p, ...n.pts, ...next.pts];
+    let seg;
+    if (!ta.ts || !tb.te) seg = mergeSegments(p, n.seg, n, next.seg, next);
+    else if (!curved) seg = { type: 'L' };
+    else seg = fitCubic(pts, ta.ts, { x: -tb.te.x, y: -tb.te.y });
+    const c = { ...seg, x: next.x, y: next.y }, line = [];
+    for (let k = 0; k <= 48; k++) line.push(segPoint(p, c, k / 48));
+    let err = 0;
+    for (const q of pts) {
+      let d = Infinity;
+      for (let k = 1; k < line.length; k++) d = Math.min(d, distToSegment(q, line[k - 1], line[k]));
+      err = Math.max(err, d);
+      if (err > tol) return null;
+    }
+    return { seg, err, pts: pts.slice(1) };
+  };
+  let removed = 0;
+  const cands = nodes.map((_, j) => candidate(j));
+  while (N() > (closed ? 3 : 2)) {
+    let best = -1;
+    cands.forEach((c, j) => { if (c && (best === -1 || c.err < cands[best].err)) best = j; });
+    if (best === -1) break;
+    const next = nodes[(best + 1) % N()];
+    next.seg = cands[best].seg;
+    next.pts = cands[best].pts;
+    nodes.splice(best, 1);
+    cands.splice(best, 1);
+    removed++;
+    // only the neighbours of the merged segment can change
+    for (const j of [best - 1, best].map(j => (j + N()) % N())) cands[j] = candidate(j);
+  }
+  nodes.forEach(n => delete n.pts);
+  return removed;
+}
+
+// Align the two handles at node j on one line through it, keeping their lengths: the
+// line side sets the direction next to a straight segment, otherwise the two directions
+// are averaged. Quadratic segments it touches become cubic. False when nothing changed.
+function smoothNode(nodes, j, closed, maxAngle = 180) {
+  const N = nodes.length;
+  if (!closed && (j === 0 || j === N - 1)) return false;
+  const n = nodes[j], p = nodes[(j - 1 + N) % N], next = nodes[(j + 1) % N];
+  const a = n.seg, b = next.seg;
+  if (!a || !b || (a.type === 'L' && b.type === 'L')) return false; // two lines can't turn without moving the anchor
+  const hin = a.type === 'L' ? p : a.type === 'C' ? { x: a.x2, y: a.y2 } : { x: a.x1, y: a.y1 };
+  const hout = b.type === 'L' ? next : { x: b.x1, y: b.y1 };
+  const lin = Math.hypot(n.x - hin.x, n.y - hin.y), lout = Math.hypot(hout.x - n.x, hout.y - n.y);
+  if (lin < 1e-9 || lout < 1e-9) return false; // a retracted handle has no direction
+  const din = { x: (n.x - hin.x) / lin, y: (n.y - hin.y) / lin };
+  const dout = { x: (hout.x - n.x) / lout, y: (hout.y - n.y) / lout };
+  const cos = din.x * dout.x + din.y * dout.y;
+  const bend = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+  if (bend < 1e-3 || bend > maxAngle || cos < -0.999) return false;
+  let d = a.type === 'L' ? din : b.type === 'L' ? dout : { x: din.x + dout.x, y: din.y + dout.y };
+  const l = Math.hypot(d.x, d.y);
+  d = { x: d.x / l, y: d.y / l };
+  if (a.type !== 'L') {
+    const c = n.seg = convertSegment(a, p, n, 'C');
+    const len = Math.hypot(n.x - c.x2, n.y - c.y2);
+    c.x2 = n.x - d.x * len; c.y2 = n.y - d.y * len;
+  }
+  if (b.type !== 'L') {
+    const c = next.seg = convertSegment(b, n, next, 'C');
+    const len = Math.hypot(c.x1 - n.x, c.y1 - n.y);
+    c.x1 = n.x + d.x * len; c.y1 = n.y + d.y * len;
+  }
+  return true;
+}
+
+// Least-squares cubic through pts with fixed end tangents (Schneider's method).
+// tan1 points into the curve from the start, tan2 into the curve from the end.
+function fitCubic(pts, tan1, tan2) {
+  const n = pts.length, p0 = pts[0], p3 = pts[n - 1];
+  const u = [0];
+  for (let i = 1; i < n; i++) u.push(u[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y));
+  const total = u[n - 1] || 1;
+  let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+  for (let i = 0; i < n; i++) {
+    const t = u[i] / total, s = 1 - t;
+    const b0 = s * s * s, b1 = 3 * t * s * s, b2 = 3 * t * t * s, b3 = t * t * t;
+    const a1 = { x: tan1.x * b1, y: tan1.y * b1 }, a2 = { x: tan2.x * b2, y: tan2.y * b2 };
+    const rx = pts[i].x - (p0.x * (b0 + b1) + p3.x * (b2 + b3));
+    const ry = pts[i].y - (p0.y * (b0 + b1) + p3.y * (b2 + b3));
+    c00 += a1.x * a1.x + a1.y * a1.y;
+    c01 += a1.x * a2.x + a1.y * a2.y;
+    c11 += a2.x * a2.x + a2.y * a2.y;
+    x0 += a1.x * rx + a1.y * ry;
+    x1 += a2.x * rx + a2.y * ry;
+  }
+  const det = c00 * c11 - c01 * c01;
+  const chord = Math.hypot(p3.x - p0.x, p3.y - p0.y);
+  let al1 = Math.abs(det) > 1e-12 ? (x0 * c11 - x1 * c01) / det : 0;
+  let al2 = Math.abs(det) > 1e-12 ? (c00 * x1 - c01 * x0) / det : 0;
+  if (al1 < chord * 1e-3 || al2 < chord * 1e-3) al1 = al2 = chord / 3;
+  return { type: 'C',
+    x1: p0.x + tan1.x * al1, y1: p0.y + tan1.y * al1,
+    x2: p3.x + tan2.x * al2, y2: p3.y + tan2.y * al2 };
+}
+
+// Same outline, opposite direction; a closed contour keeps its start point
+function reverseNodes(nodes, closed) {
+  const n = nodes.length;
+  const flip = (seg) => {
+    if (!seg) return null;
+    if (seg.type === 'C') return { type: 'C', x1: seg.x2, y1: seg.y2, x2: seg.x1, y2: seg.y1 };
+    return { ...seg };
+  };
+  const order = closed ? [0, ...Array.from({ length: n - 1 }, (_, k) => n - 1 - k)]
+                       : Array.from({ length: n }, (_, k) => n - 1 - k);
+  return order.map((i, p) => ({
+    x: nodes[i].x, y: nodes[i].y, ci: nodes[i].ci,
+    seg: p === 0 && !closed ? null : flip(nodes[(i + 1) % n].seg)
+  }));
+}
+
+/* =================== Interpolation (second font) =================== */
+// Outline b is brought onto the point structure of a: zero-length segments are folded
+// away, contours are paired by position and size, turned to the same direction and
+// start point, and every segment of b takes the type of its partner in a. Lines of a
+// whose partner is a curve are listed in `upgraded` (a with those lines as curves).
+// Returns { target, upgraded } with target shaped exactly like a, or { error }.
+function matchOutlines(a, b) {
+  const A = mixContours(a), B = mixContours(b);
+  if (A.length !== B.length) return { error: `${A.length} contours here, ${B.length} in the second font` };
+  const pairs = pairContours(A, B);
+  const errors = [];
+  pairs.forEach((j, i) => {
+    const what = `Contour ${i + 1}${A[i].hole ? ' (counter)' : ''}`;
+    if (A[i].closed !== B[j].closed) errors.push(`${what}: open in one font only`);
+    else if (A[i].nodes.length !== B[j].nodes.length) {
+      errors.push(`${what}: ${A[i].nodes.length} points here, ${B[j].nodes.length} in the second font`);
+    }
+  });
+  if (errors.length) return { error: errors.join('\n') };
+
+  const target = copyCommands(a), upgraded = copyCommands(a);
+  let changed = false;
+  pairs.forEach((j, i) => {
+    const na = A[i].nodes, closed = A[i].closed;
+    let nb = B[j].nodes;
+    if (Math.sign(A[i].area) !== Math.sign(B[j].area)) nb = reverseNodes(nb, closed);
+    if (closed) nb = bestRotation(na, nb);
+    const n = nb.length;
+    na.forEach((pa, k) => {
+      const pb = nb[k], p0 = nb[(k - 1 + n) % n];
+      let type = pa.seg?.type;
+      const carrier = pa.ci.find(ci => a[ci].type !== 'M');
+      if (type === 'L' && carrier !== undefined && pb.seg && pb.seg.type !== 'L') {
+        type = pb.seg.type;
+        upgraded[carrier] = { ...convertSegment({ type: 'L' }, nodeBefore(na, k), pa, type), x: pa.x, y: pa.y };
+        target[carrier].type = type;
+        changed = true;
+      }
+      for (const ci of pa.ci) {
+        target[ci].x = pb.x; target[ci].y = pb.y;
+        if (ci === carrier && pb.seg) Object.assign(target[ci], convertSegment(pb.seg, p0, pb, type));
+      }
+      for (const ci of pa.zero) {
+        for (const [kx, ky] of [['x', 'y'], ['x1', 'y1'], ['x2', 'y2']]) {
+          if (kx in target[ci]) { target[ci][kx] = pb.x; target[ci][ky] = pb.y; }
+        }
+      }
+    });
+  });
+  return { target, upgraded: changed ? upgraded : null };
+}
+
+function nodeBefore(nodes, k) { return nodes[(k - 1 + nodes.length) % nodes.length]; }
+
+// Contours as nodes, with the bounding box of the whole outline mapped to a unit square
+function mixContours(cmds) {
+  const bb = bboxOf(cmds), s = Math.max(bb.w, bb.h) || 1;
+  const norm = (p) => ({ x: (p.x - bb.x) / s, y: (p.y - bb.y) / s });
+  const cts = contoursOf(cmds).filter(ct => ct.end > ct.start);
+  const polys = cts.map(ct => flattenContour(cmds, ct));
+  return cts.map((ct, k) => {
+    const nodes = [];
+    for (const nd of contourNodes(cmds, ct)) {
+      nd.zero = [];
+      const prev = nodes[nodes.length - 1];
+      if (prev && Math.hypot(nd.x - prev.x, nd.y - prev.y) < 1e-6) prev.zero.push(...nd.ci);
+      else nodes.push(nd);
+    }
+    const pb = bboxOf(cmds.slice(ct.start, ct.end + 1));
+    return {
+      nodes, closed: ct.closed, area: polygonArea(polys[k]), hole: contourIsHole(polys, k),
+      center: norm({ x: pb.x + pb.w / 2, y: pb.y + pb.h / 2 }), size: (pb.w + pb.h) / s
+    };
+  });
+}
+
+// Index into B for every contour of A, cheapest pairs first
+function pairContours(A, B) {
+  const costs = [];
+  A.forEach((ca, i) => B.forEach((cb, j) => costs.push({
+    i, j, cost: Math.hypot(ca.center.x - cb.center.x, ca.center.y - cb.center.y)
+      + Math.abs(ca.size - cb.size) + (ca.hole !== cb.hole ? 1 : 0)
+  })));
+  costs.sort((p, q) => p.cost - q.cost);
+  const out = [], used = new Set();
+  for (const c of costs) {
+    if (out[c.i] !== undefined || used.has(c.j)) continue;
+    out[c.i] = c.j; used.add(c.j);
+  }
+  return out;
+}
+
+// Closed contour nb started at the node that puts its points closest to those of na,
+// both measured inside their own bounding box; line/curve agreement breaks ties
+function bestRotation(na, nb) {
+  const unit = (nodes) => {
+    const bb = bboxOf(nodes.map(p => ({ type: 'L', x: p.x, y: p.y })));
+    return nodes.map(p => ({ x: (p.x - bb.x) / (bb.w || 1), y: (p.y - bb.y) / (bb.h || 1) }));
+  };
+  const A = unit(na), B = unit(nb), n = nb.length;
+  let best = 0, bestCost = Infinity;
+  for (let r = 0; r < n; r++) {
+    let cost = 0;
+    for (let k = 0; k < n && cost < bestCost; k++) {
+      const p = A[k], q = B[(k + r) % n];
+      cost += (p.x - q.x) ** 2 + (p.y - q.y) ** 2;
+      if ((na[k].seg?.type === 'L') !== (nb[(k + r) % n].seg?.type === 'L')) cost += 0.01;
+    }
+    if (cost < bestCost) { bestCost = cost; best = r; }
+  }
+  return nb.map((_, k) => nb[(k + best) % n]);
+}
+
+// Segment p0 -> p1 expressed as `type` (exact for raising the order, close enough for C -> Q)
+function convertSegment(seg, p0, p1, type) {
+  if (type === 'L' || seg.type === type) return { ...seg, type };
+  const at = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  if (seg.type === 'L') {
+    if (type === 'Q') { const m = at(p0, p1, 0.5); return { type, x1: m.x, y1: m.y }; }
+    const c1 = at(p0, p1, 1 / 3), c2 = at(p0, p1, 2 / 3);
+    return { type, x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y };
+  }
+  if (seg.type === 'Q') {
+    const q = { x: seg.x1, y: seg.y1 }, c1 = at(p0, q, 2 / 3), c2 = at(p1, q, 2 / 3);
+    return { type, x1: c1.x, y1: c1.y, x2: c2.x, y2: c2.y };
+  }
+  return { type, x1: (3 * seg.x1 - p0.x + 3 * seg.x2 - p1.x) / 4, y1: (3 * seg.y1 - p0.y + 3 * seg.y2 - p1.y) / 4 };
+}
+
+// Copy of command a with every coordinate moved toward b by t
+function lerpCommand(a, b, t) {
+  const c = { ...a };
+  for (const k of ['x', 'y', 'x1', 'y1', 'x2', 'y2']) if (k in a && k in b) c[k] = a[k] + (b[k] - a[k]) * t;
+  return c;
+}
+
+/* =================== Boolean operations (paper.js) =================== */
+// paper.js does the path math; it needs a project but never draws.
+let paperReady = false;
+function paperSetup() {
+  if (!paperReady && typeof paper !== 'undefined') { paper.setup(new paper.Size(1, 1)); paperReady = true; }
+  return paperReady;
+}
+
+function contourToPaper(cmds, ct) {
+  const P = (x, y) => new paper.Point(x, y);
+  const p = new paper.Path({ insert: false });
+  let last = null;
+  const same = (x, y) => last && Math.abs(x - last.x) < 1e-9 && Math.abs(y - last.y) < 1e-9;
+  for (let i = ct.start; i <= ct.end; i++) {
+    const c = cmds[i];
+    // zero-length segments confuse the crossing tests, leave them out
+    if (c.type !== 'M' && c.type !== 'Z' && same(c.x, c.y) && (!('x1' in c) || same(c.x1, c.y1)) && (!('x2' in c) || same(c.x2, c.y2))) continue;
+    if (c.type !== 'Z') last = c;
+    if (c.type === 'M') p.moveTo(P(c.x, c.y));
+    else if (c.type === 'L') p.lineTo(P(c.x, c.y));
+    else if (c.type === 'C') p.cubicCurveTo(P(c.x1, c.y1), P(c.x2, c.y2), P(c.x, c.y));
+    else if (c.type === 'Q') p.quadraticCurveTo(P(c.x1, c.y1), P(c.x, c.y));
+    else if (c.type === 'Z') p.closePath();
+  }
+  return p;
+}
+
+function commandsToPaper(cmds) {
+  const children = contoursOf(cmds).filter(ct => ct.closed).map(ct => contourToPaper(cmds, ct));
+  return new paper.CompoundPath({ children, fillRule: 'nonzero', insert: false });
+}
+
+// paper Path/CompoundPath -> commands (straight segments become L, the rest C)
+function paperToCommands(item) {
+  const out = [];
+  const paths = item.className === 'CompoundPath' ? item.children : [item];
+  for (const p of paths) {
+    const segs = p.segments, n = segs.length;
+    if (!n) continue;
+    out.push({ type: 'M', x: segs[0].point.x, y: segs[0].point.y });
+    for (let k = 1; k <= (p.closed ? n : n - 1); k++) {
+      const a = segs[k - 1], b = segs[k % n];
+      const straight = a.handleOut.isZero() && b.handleIn.isZero();
+      if (k === n && straight) break; // implicit closing line
+      out.push(straight ? { type: 'L', x: b.point.x, y: b.point.y } : { type: 'C',
+        x1: a.point.x + a.handleOut.x, y1: a.point.y + a.handleOut.y,
+        x2: b.point.x + b.handleIn.x, y2: b.point.y + b.handleIn.y,
+        x: b.point.x, y: b.point.y });
+    }
+    if (p.closed) out.push({ type: 'Z' });
+  }
+  return out;
+}
+
+// Direction of the outer contours, so results keep the glyph's convention
+function outerClockwise(cmds) {
+  let best = null, bestArea = 0;
+  for (const ct of contoursOf(cmds)) {
+    const a = polygonArea(flattenContour(cmds, ct));
+    if (Math.abs(a) > bestArea) { bestArea = Math.abs(a); best = a; }
+  }
+  return best === null ? true : best > 0; // y points down, positive area is clockwise on screen
+}
+
+// Union of all closed contours under the nonzero rule: overlaps merge, counters
+// (contours running the other way) stay holes. Open contours are kept as they are.
+function removeOverlap(cmds) {
+  const cp = commandsToPaper(cmds);
+  const res = cp.unite(new paper.Path({ insert: false }), { insert: false });
+  res.reorient(true, outerClockwise(cmds));
+  const open = contoursOf(cmds).filter(ct => !ct.closed).flatMap(ct => cmds.slice(ct.start, ct.end + 1));
+  return [...paperToCommands(res), ...open];
+}
+
+// Every contour as a solid shape: (union of group) op tool
+function booleanContours(cmds, group, tool, op) {
+  const solid = (ct) => { const p = contourToPaper(cmds, ct); p.closed = true; p.clockwise = true; return p; };
+  let acc = solid(group[0]);
+  for (const ct of group.slice(1)) acc = acc.unite(solid(ct), { insert: false });
+  const t = solid(tool);
+  const res = op === 'subtract' ? acc.subtract(t, { insert: false })
+            : op === 'intersect' ? acc.intersect(t, { insert: false })
+            : acc.unite(t, { insert: false });
+  res.reorient(true, outerClockwise(cmds));
+  return paperToCommands(res);
+}
+
+// Export helper: overlap-free outline, untouched when paper.js is missing
+function cleanOutline(cmds) {
+  if (!paperSetup()) return cmds;
+  try { return removeOverlap(cmds); }
+  catch (err) { console.warn('Remove overlap failed:', err); return cmds; }
+}
+
+/* =================== Outline offset (weight) =================== */
+// Offsets every contour by d path units away from the filled area (d < 0 thins).
+// Keeps the command structure 1:1, so indices stay valid for editing:
+// corners get a miter join (clamped at miterLimit), curve handles are rescaled
+// by their end curvature so round shapes stay round.
+function offsetCommands(cmds, d, miterLimit = 4) {
+  const out = copyCommands(cmds);
+  if (!d) return out;
+  const contours = contoursOf(cmds);
+  const polys = contours.map(ct => flattenContour(cmds, ct));
+
+  contours.forEach((ct, k) => {
+    const area = polygonArea(polys[k]);
+    if (Math.abs(area) < 1e-9) return;
+    const D = d * Math.sign(area) * (contourIsHole(polys, k) ? -1 : 1);
+
+    // segments in order, with a virtual closing line when Z does not land on the start
+    const segs = [];
+    let prev = cmds[ct.start];
+    for (let i = ct.start + 1; i <= ct.end; i++) {
+      const c = cmds[i];
+      if (c.type === 'Z') break;
+      segs.push({ i, p0: prev, c, ...segTangents(prev, c) });
+      prev = c;
+    }
+    const first = cmds[ct.start];
+    if (ct.closed && Math.hypot(prev.x - first.x, prev.y - first.y) > 1e-6) {
+      segs.push({ i: -1, p0: prev, c: { type: 'L', x: first.x, y: first.y }, ...segTangents(prev, first) });
+    }
+    if (!segs.length) return;
+
+    // new anchor positions; vertex j is the start of segs[j]
+    const n = segs.length;
+    const nv = ct.closed ? n : n + 1;
+    const verts = [];
+    for (let j = 0; j < nv; j++) {
+      const P = j < n ? segs[j].p0 : segs[n - 1].c;
+      const tin = findTangent(segs, j - 1, -1, ct.closed, 'te');
+      const tout = findTangent(segs, j, 1, ct.closed, 'ts');
+      verts.push(joinPoint(P, tin, tout, D, miterLimit));
+    }
+
+    // write back: anchors, then handles relative to their (moved) anchors
+    out[ct.start].x = verts[0].x; out[ct.start].y = verts[0].y;
+    segs.forEach((s, j) => {
+      if (s.i < 0) return;
+      const a = verts[j], b = verts[(j + 1) % nv];
+      const o = out[s.i], c = s.c, p0 = s.p0;
+      o.x = b.x; o.y = b.y;
+      if (c.type === 'C') {
+        const f0 = handleScale(p0, c.x1, c.y1, c.x2, c.y2, D, false);
+        const f1 = handleScale(c, c.x2, c.y2, c.x1, c.y1, D, true);
+        o.x1 = a.x + (c.x1 - p0.x) * f0; o.y1 = a.y + (c.y1 - p0.y) * f0;
+        o.x2 = b.x + (c.x2 - c.x) * f1;  o.y2 = b.y + (c.y2 - c.y) * f1;
+      } else if (c.type === 'Q' && s.ts && s.te) {
+        // control point = crossing of the two offset end tangents
+        const q = lineCross(a, s.ts, b, s.te);
+        const nq = normalOf(s.ts), ne = normalOf(s.te);
+        const fallback = { x: c.x1 + (nq.x + ne.x) / 2 * D, y: c.y1 + (nq.y + ne.y) / 2 * D };
+        const ok = q && Math.hypot(q.x - fallback.x, q.y - fallback.y) < Math.abs(D) * miterLimit * 2;
+        o.x1 = ok ? q.x : fallback.x; o.y1 = ok ? q.y : fallback.y;
+      }
+    });
+  });
+  return out;
+}
+
+// Unit tangents at the start (ts) and end (te) of a segment, null when degenerate
+function segTangents(p0, c) {
+  const unit = (dx, dy) => { const l = Math.hypot(dx, dy); return l > 1e-9 ? { x: dx / l, y: dy / l } : null; };
+  const chord = unit(c.x - p0.x, c.y - p0.y);
+  if (c.type === 'C') return {
+    ts: unit(c.x1 - p0.x, c.y1 - p0.y) || unit(c.x2 - p0.x, c.y2 - p0.y) || chord,
+    te: unit(c.x - c.x2, c.y - c.y2) || unit(c.x - c.x1, c.y - c.y1) || chord
+  };
+  if (c.type === 'Q') return {
+    ts: unit(c.x1 - p0.x, c.y1 - p0.y) || chord,
+    te: unit(c.x - c.x1, c.y - c.y1) || chord
+  };
+  return { ts: chord, te: chord };
+}
+
+// Nearest non-degenerate tangent walking from segment j in direction step
+function findTangent(segs, j, step, closed, key) {
+  const n = segs.length;
+  for (let k = 0; k < n; k++) {
+    let idx = j + k * step;
+    if (closed) idx = ((idx % n) + n) % n;
+    else if (idx < 0 || idx >= n) return null;
+    if (segs[idx][key]) return segs[idx][key];
+  }
+  return null;
+}
+
+function normalOf(t) { return { x: t.y, y: -t.x }; }
+
+// Offset position of anchor P where tangent tin arrives and tout leaves (miter join)
+function joinPoint(P, tin, tout, D, limit) {
+  if (!tin && !tout) return { x: P.x, y: P.y };
+  const na = normalOf(tin || tout), nb = normalOf(tout || tin);
+  const cos = na.x * nb.x + na.y * nb.y;
+  if (cos > 0.9999 || cos < -0.9999) return { x: P.x + na.x * D, y: P.y + na.y * D };
+  let mx = (na.x + nb.x) / (1 + cos), my = (na.y + nb.y) / (1 + cos);
+  const len = Math.hypot(mx, my);
+  if (len > limit) { mx *= limit / len; my *= limit / len; }
+  return { x: P.x + mx * D, y: P.y + my * D };
+}
+
+// Handle length factor after offsetting: 1 + D * curvature at the curve end
+function handleScale(a, hx, hy, ox, oy, D, atEnd) {
+  const h = { x: hx - a.x, y: hy - a.y };
+  const l = Math.hypot(h.x, h.y);
+  if (l < 1e-9) return 1;
+  // curvature from the handle and the opposite control point
+  const e = { x: ox - hx, y: oy - hy };
+  let k = (2 / 3) * (h.x * e.y - h.y * e.x) / (l * l * l);
+  if (atEnd) k = -k;
+  return Math.min(4, Math.max(0, 1 + D * k));
+}
+
+function lineCross(p, dp, q, dq) {
+  const den = dp.x * dq.y - dp.y * dq.x;
+  if (Math.abs(den) < 1e-9) return null;
+  const t = ((q.x - p.x) * dq.y - (q.y - p.y) * dq.x) / den;
+  return { x: p.x + dp.x * t, y: p.y + dp.y * t };
+}
+
+/* =================== Corners (fillets and ink traps) =================== */
+// Sharp corners of closed contours get a round fillet of `radius`; concave ones get a
+// notch `trap` deep into the ink instead when trap > 0. A corner counts when the angle
+// between its two sides is under `angle` degrees, and `only` (a Set of command indices)
+// limits it to some anchors. Cuts never take more than half of a segment.
+function roundCorners(cmds, { radius = 0, trap = 0, angle = 100, only = null }) {
+  const out = [];
+  const opts = { radius, trap, angle, only, cw: outerClockwise(cmds) ? 1 : -1 };
+  for (const ct of contoursOf(cmds)) {
+    const nodes = contourNodes(cmds, ct);
+    if (ct.closed && nodes.length > 1) out.push(...cornerContour(nodes, opts));
+    else out.push(...cmds.slice(ct.start, ct.end + 1));
+  }
+  return out;
+}
+
+function cornerContour(nodes, o) {
+  const n = nodes.length;
+  // segment k runs from node k-1 into node k
+  const from = (k) => nodes[(k - 1 + n) % n];
+  const segCmd = (k) => ({ ...nodes[k].seg, x: nodes[k].x, y: nodes[k].y });
+  const lens = nodes.map((_, k) => segLength(from(k), segCmd(k)));
+  const t0 = new Array(n).fill(0), t1 = new Array(n).fill(1), corners = new Array(n).fill(null);
+  nodes.forEach((node, j) => {
+    if (o.only && !node.ci.some(i => o.only.has(i))) return;
+    const kOut = (j + 1) % n;
+    const tin = segTangents(from(j), segCmd(j)).te, tout = segTangents(node, segCmd(kOut)).ts;
+    if (!tin || !tout) return;
+    const theta = Math.acos(Math.max(-1, Math.min(1, -(tin.x * tout.x + tin.y * tout.y))));
+    if (theta * 180 / Math.PI >= o.angle) return;
+    const convex = (tin.x * tout.y - tin.y * tout.x) * o.cw > 0;
+    const kind = !convex && o.trap > 0 ? 'trap' : o.radius > 0 ? 'fillet' : null;
+    if (!kind) return;
+    const d = Math.min(kind === 'fillet' ? o.radius / Math.tan(theta / 2) : o.trap / 3, lens[j] / 2, lens[kOut] / 2);
+    if (!(d > 1e-6)) return;
+    t1[j] = cutAt(from(j), segCmd(j), lens[j] - d);
+    t0[kOut] = cutAt(node, segCmd(kOut), d);
+    // the notch points into the ink, halfway between the two sides
+    const bis = { x: tin.x - tout.x, y: tin.y - tout.y }, bl = Math.hypot(bis.x, bis.y) || 1;
+    corners[j] = { kind, tip: { x: node.x + bis.x / bl * o.trap, y: node.y + bis.y / bl * o.trap } };
+  });
+
+  const pieces = nodes.map((_, k) => subSegment(from(k), segCmd(k), t0[k], t1[k]));
+  const out = [{ type: 'M', x: pieces[1 % n].start.x, y: pieces[1 % n].start.y }];
+  for (let k = 1; k <= n; k++) {
+    const s = k % n, next = pieces[(s + 1) % n], cur = pieces[s];
+    out.push(cur.cmd);
+    const c = corners[s];
+    if (!c) continue;
+    if (c.kind === 'trap') {
+      out.push({ type: 'L', x: c.tip.x, y: c.tip.y }, { type: 'L', x: next.start.x, y: next.start.y });
+      continue;
+    }
+    // fillet: a cubic tangent to both sides, handles as for a circular arc
+    const a = cur.cmd, b = next.start;
+    const ta = segTangents(cur.start, a).te, tb = segTangents(b, next.cmd).ts;
+    const chord = Math.hypot(b.x - a.x, b.y - a.y);
+    const phi = Math.acos(Math.max(-1, Math.min(1, ta.x * tb.x + ta.y * tb.y)));
+    const h = phi > 1e-6 ? 4 / 3 * Math.tan(phi / 4) * chord / (2 * Math.sin(phi / 2)) : chord / 3;
+    out.push({ type: 'C', x1: a.x + ta.x * h, y1: a.y + ta.y * h, x2: b.x - tb.x * h, y2: b.y - tb.y * h, x: b.x, y: b.y });
+  }
+  out.push({ type: 'Z' });
+  return out;
+}
+
+// Length of the segment ending in command c (curves sampled)
+function segLength(p0, c, steps = 16) {
+  if (c.type !== 'C' && c.type !== 'Q') return Math.hypot(c.x - p0.x, c.y - p0.y);
+  let len = 0, prev = p0;
+  for (let k = 1; k <= steps; k++) {
+    const p = segPoint(p0, c, k / steps);
+    len += Math.hypot(p.x - prev.x, p.y - prev.y);
+    prev = p;
+  }
+  return len;
+}
+
+// Parameter t at arc length `dist` from the start of the segment
+function cutAt(p0, c, dist, steps = 32) {
+  if (c.type !== 'C' && c.type !== 'Q') {
+    const len = Math.hypot(c.x - p0.x, c.y - p0.y);
+    return len > 0 ? Math.max(0, Math.min(1, dist / len)) : 0;
+  }
+  let acc = 0, prev = p0;
+  for (let k = 1; k <= steps; k++) {
+    const p = segPoint(p0, c, k / steps), l = Math.hypot(p.x - prev.x, p.y - prev.y);
+    if (acc + l >= dist) return (k - 1 + (l > 0 ? (dist - acc) / l : 0)) / steps;
+    acc += l;
+    prev = p;
+  }
+  return 1;
+}
+
+// The part of a segment between parameters ta < tb: { start, cmd } with cmd ending at tb
+function subSegment(p0, c, ta, tb) {
+  let cmd = { ...c }, start = p0;
+  if (tb < 1) {
+    const [a, m] = splitSegment(p0, c, c, tb);
+    cmd = { ...a, x: m.x, y: m.y };
+  }
+  if (ta > 0) {
+    const [, m, b] = splitSegment(p0, cmd, cmd, ta / tb);
+    cmd = { ...b, x: cmd.x, y: cmd.y };
+    start = m;
+  }
+  return { start, cmd };
+}
+
+/* =================== Variable fonts (fvar, avar, gvar, HVAR, CFF2) =================== */
+// opentype.js reads the fvar axes but no outline variations, and refuses CFF2 fonts.
+// parseFont() reads the rest from the raw tables and keeps it on font.variation,
+// setVariation() picks the instance and glyphOutline() builds a glyph there.
+
+// Font file -> opentype.Font; variable fonts get font.variation at their default instance
+function parseFont(buffer) {
+  const tables = sfntTables(buffer);
+  const cff2 = !!(tables?.CFF2 && !tables['CFF '] && !tables.glyf);
+  const f = opentype.parse(cff2 ? withEmptyGlyf(buffer, tables) : buffer);
+  if (cff2) f.outlinesFormat = 'cff'; // PostScript outlines after all, for outlineClockwise()
+  if (tables && f.tables.fvar) {
+    f.variation = readVariations(f, new DataView(buffer), tables, cff2);
+    setVariation(f);
+  }
+  if (cff2) {
+    // opentype.js saw empty TrueType glyphs; give them their CFF2 outlines.
+    // A static CFF2 font has no fvar, so no font.variation: read the charstrings here.
+    const v = new DataView(buffer);
+    const V = f.variation || { v, cff2: readCFF2(v, tables.CFF2.offset, f.numGlyphs) };
+    const zero = V.cff2.store?.regions.map(() => 0) || [];
+    for (let i = 0; i < f.numGlyphs; i++) {
+      const g = f.glyphs.get(i);
+      g.path = () => newPath(cff2Commands(V, i, zero));
+    }
+  }
+  return f;
+}
+
+// Table directory of a TTF or OTF: tag -> { offset, length }; null for other containers
+function sfntTables(buffer) {
+  const v = new DataView(buffer);
+  const tag = (o) => String.fromCharCode(v.getUint8(o), v.getUint8(o + 1), v.getUint8(o + 2), v.getUint8(o + 3));
+  if (v.byteLength < 12 || !['OTTO', 'true', '\0\x01\0\0'].includes(tag(0))) return null;
+  const out = {};
+  for (let i = 0, n = v.getUint16(4); i < n; i++) {
+    const r = 12 + i * 16;
+    out[tag(r)] = { offset: v.getUint32(r + 8), length: v.getUint32(r + 12) };
+  }
+  return out;
+}
+
+// The same font with an empty glyf and loca added, so opentype.js loads cmap, metrics
+// and names of a CFF2 font
+function withEmptyGlyf(buffer, tables) {
+  const src = new DataView(buffer);
+  const numGlyphs = src.getUint16(tables.maxp.offset + 4);
+  const long = src.getInt16(tables.head.offset + 50) === 1;
+  return sfntWith(buffer, { glyf: new Uint8Array(0), loca: new Uint8Array((numGlyphs + 1) * (long ? 4 : 2)) }, 0x00010000);
+}
+
+// A copy of an sfnt with tables added or replaced ({ tag: bytes }) or dropped ({ tag: null }),
+// the directory sorted and every checksum written again
+function sfntWith(buffer, changes, version = new DataView(buffer).getUint32(0)) {
+  const tables = {};
+  for (const [tag, t] of Object.entries(sfntTables(buffer))) tables[tag] = new Uint8Array(buffer, t.offset, t.length);
+  const entries = Object.entries({ ...tables, ...changes }).filter(([, bytes]) => bytes).sort(([a], [b]) => a < b ? -1 : 1);
+  const n = entries.length, range = 2 ** Math.floor(Math.log2(n));
+  let size = 12 + n * 16;
+  const at = entries.map(([, bytes]) => { const o = size; size += (bytes.length + 3) & ~3; return o; });
+  const out = new Uint8Array(size), v = new DataView(out.buffer);
+  const sum = (p, len) => { let s = 0; for (let i = 0; i < len; i += 4) s = (s + v.getUint32(p + i)) >>> 0; return s; };
+  v.setUint32(0, version); v.setUint16(4, n);
+  v.setUint16(6, range * 16); v.setUint16(8, Math.log2(range)); v.setUint16(10, (n - range) * 16);
+  let head = -1;
+  entries.forEach(([tag, bytes], i) => {
+    const r = 12 + i * 16;
+    for (let k = 0; k < 4; k++) out[r + k] = tag.charCodeAt(k);
+    out.set(bytes, at[i]);
+    if (tag === 'head') { head = at[i]; v.setUint32(head + 8, 0); }
+    v.setUint32(r + 4, sum(at[i], bytes.length)); v.setUint32(r + 8, at[i]); v.setUint32(r + 12, bytes.length);
+  });
+  if (head >= 0) v.setUint32(head + 8, (0xB1B0AFBA - sum(0, size)) >>> 0);
+  return out.buffer;
+}
+
+const f2dot14 = (v, o) => v.getInt16(o) / 16384;
+
+function readVariations(f, v, tables, cff2) {
+  const V = {
+    axes: f.tables.fvar.axes.map(a => ({ ...a, label: a.name?.en || a.tag })),
+    instances: (f.tables.fvar.instances || []).map(i => ({ name: i.name?.en || '', coords: i.coordinates })),
+    v, avar: null, gvar: null, hvar: null, cff2: null
+  };
+  if (tables.avar) {
+    // per axis: [from, to] pairs of the segment map
+    let p = tables.avar.offset + 8;
+    V.avar = V.axes.map(() => {
+      const pairs = [];
+      for (let n = v.getUint16(p), k = 0; k < n; k++) pairs.push([f2dot14(v, p + 2 + k * 4), f2dot14(v, p + 4 + k * 4)]);
+      p += 2 + pairs.length * 4;
+      return pairs;
+    });
+  }
+  if (tables.gvar) {
+    const b = tables.gvar.offset, axisCount = v.getUint16(b + 4), glyphCount = v.getUint16(b + 12);
+    const long = v.getUint16(b + 14) & 1, shared = [];
+    for (let i = 0, o = b + v.getUint32(b + 8); i < v.getUint16(b + 6); i++, o += axisCount * 2) {
+      shared.push(Array.from({ length: axisCount }, (_, k) => f2dot14(v, o + k * 2)));
+    }
+    const offsets = Array.from({ length: glyphCount + 1 }, (_, i) => long ? v.getUint32(b + 20 + i * 4) : v.getUint16(b + 20 + i * 2) * 2);
+    V.gvar = { axisCount, shared, offsets, data: b + v.getUint32(b + 16) };
+  }
+  if (tables.HVAR) {
+    const b = tables.HVAR.offset, map = v.getUint32(b + 8);
+    V.hvar = { store: readItemStore(v, b + v.getUint32(b + 4)), map: map ? b + map : 0 };
+  }
+  if (cff2) V.cff2 = readCFF2(v, tables.CFF2.offset, f.numGlyphs);
+  return V;
+}
+
+// Pick the instance: { wght: 700, ... } in axis units; missing axes take their default
+function setVariation(f, coords = {}) {
+  const V = f?.variation;
+  if (!V) return;
+  V.coords = {};
+  V.norm = V.axes.map((a, i) => {
+    const c = Math.min(Math.max(coords[a.tag] ?? a.defaultValue, a.minValue), a.maxValue);
+    V.coords[a.tag] = c;
+    let n = c < a.defaultValue ? (c - a.defaultValue) / (a.defaultValue - a.minValue)
+          : c > a.defaultValue ? (c - a.defaultValue) / (a.maxValue - a.defaultValue) : 0;
+    const map = V.avar?.[i];
+    if (map?.length) {
+      const k = map.findIndex(([from]) => from >= n);
+      if (k > 0) { const [a0, b0] = map[k - 1], [a1, b1] = map[k]; n = b0 + (b1 - b0) * (n - a0) / (a1 - a0); }
+      else if (k === 0) n = map[0][1];
+    }
+    return n;
+  });
+  const scalars = (store) => store?.regions.map(r => tupleScalar(V.norm, r.peak, r.start, r.end));
+  V.scalars = { cff2: scalars(V.cff2?.store), hvar: scalars(V.hvar?.store) };
+  V.cache = new Map();
+}
+
+// How much a delta applies at the normalized coordinates: the tent of each axis multiplied
+function tupleScalar(coords, peak, start, end) {
+  let s = 1;
+  for (let i = 0; i < peak.length; i++) {
+    const p = peak[i], c = coords[i] || 0;
+    if (p === 0) continue;
+    if (c === 0) return 0;
+    if (start) {
+      const a = start[i], b = end[i];
+      if (a > p || p > b || (a < 0 && b > 0)) continue;
+      if (c < a || c > b) return 0;
+      if (c < p) s *= (c - a) / (p - a);
+      else if (c > p) s *= (b - c) / (b - p);
+    } else {
+      if (c < Math.min(0, p) || c > Math.max(0, p)) return 0;
+      s *= c / p;
+    }
+  }
+  return s;
+}
+
+// Outline of glyph g at the chosen instance in path units (y down, like
+// getPath(0, 0, GLYPH_SIZE)), and its advance in path units
+function glyphOutline(f, g) {
+  const k = GLYPH_SIZE / f.unitsPerEm;
+  if (!f.variation) return { commands: g.getPath(0, 0, GLYPH_SIZE).commands, advance: (g.advanceWidth || 0) * k };
+  const inst = glyphInstance(f, g.index);
+  return { commands: scaleCommands(copyCommands(inst.commands), k, -k), advance: inst.advanceWidth * k };
+}
+
+// Glyph gid at the chosen instance: commands in font units (y up) and the advance width
+function glyphInstance(f, gid) {
+  const V = f.variation;
+  if (V.cache.has(gid)) return V.cache.get(gid);
+  const g = f.glyphs.get(gid);
+  let res;
+  if (V.cff2) res = { commands: cff2Commands(V, gid, V.scalars.cff2), advanceWidth: g.advanceWidth || 0 };
+  else {
+    const t = ttPoints(f, gid);
+    const n = t.points.length, shift = t.dx[n];  // phantom points: origin and advance
+    res = { commands: ttCommands(t.points.map(p => ({ ...p, x: p.x - shift }))), advanceWidth: (g.advanceWidth || 0) + t.dx[n + 1] - shift };
+  }
+  if (V.hvar) res.advanceWidth = (g.advanceWidth || 0) + hvarAdvance(V, gid);
+  V.cache.set(gid, res);
+  return res;
+}
+
+/* TrueType: gvar deltas on the glyf points */
+
+// Points of a glyph with the deltas of the instance, composites resolved like opentype.js;
+// dx holds the x deltas, phantom points included
+function ttPoints(f, gid) {
+  const g = f.glyphs.get(gid);
+  g.path; // opentype.js parses points and components with the path
+  if (!g.isComposite) {
+    const src = g.points || [];
+    const d = gvarDeltas(f.variation, gid, src, true);
+    return { points: src.map((p, i) => ({ ...p, x: p.x + d.x[i], y: p.y + d.y[i] })), dx: d.x };
+  }
+  // each component is one point of the composite, its offset is what varies
+  const d = gvarDeltas(f.variation, gid, g.components, false);
+  const points = g.components.flatMap((c, i) => ttPoints(f, c.glyphIndex).points.map(p => ({
+    ...p,
+    x: c.xScale * p.x + c.scale01 * p.y + c.dx + d.x[i],
+    y: c.scale10 * p.x + c.yScale * p.y + c.dy + d.y[i]
+  })));
+  const dx = new Float64Array(points.length + 4), nc = g.components.length;
+  dx[points.length] = d.x[nc]; dx[points.length + 1] = d.x[nc + 1];
+  return { points, dx };
+}
+
+// Summed deltas of every tuple that applies, for the points plus the 4 phantom points.
+// Tuples that list only some points are interpolated over each contour (IUP) when iup is set.
+function gvarDeltas(V, gid, points, iup) {
+  const n = points.length + 4;
+  const out = { x: new Float64Array(n), y: new Float64Array(n) };
+  const G = V.gvar, v = V.v;
+  if (!G || G.offsets[gid] === G.offsets[gid + 1]) return out;
+  const base = G.data + G.offsets[gid];
+  const head = v.getUint16(base), count = head & 0x0FFF;
+  let data = base + v.getUint16(base + 2), h = base + 4, sharedPoints = null;
+  const tuples = [];
+  for (let t = 0; t < count; t++) {
+    const size = v.getUint16(h), index = v.getUint16(h + 2);
+    h += 4;
+    const read = () => { const c = Array.from({ length: G.axisCount }, (_, k) => f2dot14(v, h + k * 2)); h += G.axisCount * 2; return c; };
+    const peak = index & 0x8000 ? read() : G.shared[index & 0x0FFF];
+    const start = index & 0x4000 ? read() : null, end = start ? read() : null;
+    tuples.push({ size, index, peak, start, end });
+  }
+  if (head & 0x8000) [sharedPoints, data] = packedPoints(v, data);
+  for (const t of tuples) {
+    const next = data + t.size;
+    const s = tupleScalar(V.norm, t.peak, t.start, t.end);
+    if (s) {
+      let p = data, pts = sharedPoints;
+      if (t.index & 0x2000) [pts, p] = packedPoints(v, p);
+      const m = pts ? pts.length : n;
+      let xs, ys;
+      [xs, p] = packedDeltas(v, p, m);
+      [ys, p] = packedDeltas(v, p, m);
+      let dx = xs, dy = ys;
+      if (pts) {
+        dx = new Float64Array(n); dy = new Float64Array(n);
+        const touched = new Uint8Array(n);
+        pts.forEach((i, k) => { if (i < n) { dx[i] = xs[k]; dy[i] = ys[k]; touched[i] = 1; } });
+        if (iup) interpolateUntouched(points, touched, dx, dy);
+      }
+      for (let i = 0; i < n; i++) { out.x[i] += dx[i] * s; out.y[i] += dy[i] * s; }
+    }
+    data = next;
+  }
+  return out;
+}
+
+// Point numbers of a tuple: [null (all points) or numbers, position after them]
+function packedPoints(v, p) {
+  let count = v.getUint8(p++);
+  if (count & 0x80) count = ((count & 0x7F) << 8) | v.getUint8(p++);
+  if (!count) return [null, p];
+  const pts = [];
+  let last = 0;
+  while (pts.length < count) {
+    const ctl = v.getUint8(p++), words = ctl & 0x80;
+    for (let k = (ctl & 0x7F) + 1; k > 0 && pts.length < count; k--) {
+      last += words ? v.getUint16(p) : v.getUint8(p);
+      p += words ? 2 : 1;
+      pts.push(last);
+    }
+  }
+  return [pts, p];
+}
+
+function packedDeltas(v, p, count) {
+  const out = [];
+  while (out.length < count) {
+    const ctl = v.getUint8(p++), run = (ctl & 0x3F) + 1;
+    for (let k = 0; k < run && out.length < count; k++) {
+      if (ctl & 0x80) out.push(0);
+      else if (ctl & 0x40) { out.push(v.getInt16(p)); p += 2; }
+      else out.push(v.getInt8(p++));
+    }
+  }
+  return [out, p];
+}
+
+// IUP: points a tuple leaves out move with their touched neighbours on the contour,
+// interpolated between them or shifted like the nearer one outside their span
+function interpolateUntouched(points, touched, dx, dy) {
+  let start = 0;
+  points.forEach((pt, end) => {
+    if (!pt.lastPointOfContour) return;
+    const idx = [];
+    for (let i = start; i <= end; i++) if (touched[i]) idx.push(i);
+    if (idx.length) {
+      for (let i = start; i <= end; i++) {
+        if (touched[i]) continue;
+        // nearest touched point before and after i, walking around the contour
+        let a = idx[idx.length - 1], b = idx[0];
+        for (const j of idx) { if (j < i) a = j; else { b = j; break; } }
+        for (const [key, d] of [['x', dx], ['y', dy]]) {
+          const c = points[i][key], ca = points[a][key], cb = points[b][key];
+          if (ca === cb) d[i] = d[a] === d[b] ? d[a] : 0;
+          else if (c <= Math.min(ca, cb)) d[i] = ca < cb ? d[a] : d[b];
+          else if (c >= Math.max(ca, cb)) d[i] = ca > cb ? d[a] : d[b];
+          else d[i] = d[a] + (d[b] - d[a]) * (c - ca) / (cb - ca);
+        }
+      }
+    }
+    start = end + 1;
+  });
+}
+
+// Quadratic contours to commands, the same way opentype.js draws glyf outlines
+function ttCommands(points) {
+  const out = [];
+  let contour = [];
+  for (const pt of points) {
+    contour.push(pt);
+    if (!pt.lastPointOfContour) continue;
+    let curr = contour[contour.length - 1], next = contour[0], prev;
+    const start = curr.onCurve ? curr : next.onCurve ? next : { x: (curr.x + next.x) / 2, y: (curr.y + next.y) / 2 };
+    out.push({ type: 'M', x: start.x, y: start.y });
+    for (let i = 0; i < contour.length; i++) {
+      prev = curr; curr = next; next = contour[(i + 1) % contour.length];
+      if (curr.onCurve) { out.push({ type: 'L', x: curr.x, y: curr.y }); continue; }
+      const end = next.onCurve ? next : { x: (curr.x + next.x) / 2, y: (curr.y + next.y) / 2 };
+      out.push({ type: 'Q', x1: curr.x, y1: curr.y, x: end.x, y: end.y });
+    }
+    out.push({ type: 'Z' });
+    contour = [];
+  }
+  return out;
+}
+
+/* Item variation stores (HVAR, CFF2 blend) */
+
+function readItemStore(v, b) {
+  const list = b + v.getUint32(b + 2), axisCount = v.getUint16(list);
+  const regions = Array.from({ length: v.getUint16(list + 2) }, (_, r) => {
+    const o = list + 4 + r * axisCount * 6, tent = (k) => Array.from({ length: axisCount }, (_, a) => f2dot14(v, o + a * 6 + k * 2));
+    return { start: tent(0), peak: tent(1), end: tent(2) };
+  });
+  const data = Array.from({ length: v.getUint16(b + 6) }, (_, i) => {
+    const o = b + v.getUint32(b + 8 + i * 4), words = v.getUint16(o + 2), count = v.getUint16(o + 4);
+    return { words: words & 0x7FFF, long: !!(words & 0x8000), regions: Array.from({ length: count }, (_, k) => v.getUint16(o + 6 + k * 2)), rows: o + 6 + count * 2 };
+  });
+  return { regions, data };
+}
+
+function itemDelta(v, store, scalars, outer, inner) {
+  const d = store.data[outer];
+  if (!d) return 0;
+  const R = d.regions.length, big = d.long ? 4 : 2, small = d.long ? 2 : 1;
+  let p = d.rows + inner * (d.words * big + (R - d.words) * small), sum = 0;
+  for (let j = 0; j < R; j++) {
+    const word = j < d.words;
+    const x = word ? (d.long ? v.getInt32(p) : v.getInt16(p)) : (d.long ? v.getInt16(p) : v.getInt8(p));
+    p += word ? big : small;
+    sum += x * scalars[d.regions[j]];
+  }
+  return sum;
+}
+
+function hvarAdvance(V, gid) {
+  const H = V.hvar, v = V.v;
+  let outer = 0, inner = gid;
+  if (H.map) {
+    const format = v.getUint8(H.map), entry = v.getUint8(H.map + 1);
+    const count = format ? v.getUint32(H.map + 2) : v.getUint16(H.map + 2);
+    const size = ((entry >> 4) & 3) + 1, bits = (entry & 0xF) + 1, p = H.map + (format ? 6 : 4) + Math.min(gid, count - 1) * size;
+    let e = 0;
+    for (let k = 0; k < size; k++) e = e * 256 + v.getUint8(p + k);
+    outer = Math.floor(e / 2 ** bits); inner = e % 2 ** bits;
+  }
+  return itemDelta(v, H.store, V.scalars.hvar, outer, inner);
+}
+
+/* CFF2 charstrings with blend */
+
+function readCFF2(v, base, numGlyphs) {
+  const hdr = v.getUint8(base + 2), topEnd = base + hdr + v.getUint16(base + 3);
+  const top = cffDict(v, base + hdr, topEnd);
+  const fdArray = top[1236] ? cffIndex(v, base + top[1236][0]) : null;
+  const fds = (fdArray ? fdArray.items : [null]).map(item => {
+    const fd = item ? cffDict(v, item[0], item[1]) : {};
+    const [size, off] = fd[18] || [0, 0];
+    const priv = cffDict(v, base + off, base + off + size);
+    return { subrs: priv[19] ? cffIndex(v, base + off + priv[19][0]) : null, vsindex: priv[22]?.[0] || 0 };
+  });
+  return {
+    gsubrs: cffIndex(v, topEnd),
+    charStrings: cffIndex(v, base + top[17][0]),
+    fds,
+    fdSelect: top[1237] ? cffFDSelect(v, base + top[1237][0], numGlyphs) : null,
+    store: top[24] ? readItemStore(v, base + top[24][0] + 2) : null
+  };
+}
+
+// CFF2 INDEX: { items: [[start, end]] } with 32-bit count
+function cffIndex(v, p) {
+  const count = v.getUint32(p);
+  if (!count) return { items: [] };
+  const size = v.getUint8(p + 4), off = (k) => { let o = 0; for (let b = 0; b < size; b++) o = o * 256 + v.getUint8(p + 5 + k * size + b); return o; };
+  const data = p + 4 + (count + 1) * size;
+  return { items: Array.from({ length: count }, (_, k) => [data + off(k), data + off(k + 1)]) };
+}
+
+// DICT: operator -> operands; escaped operators are 1200 + the second byte.
+// Blended values only appear in keys this reader does not need, they are skipped.
+function cffDict(v, p, end) {
+  const out = {};
+  let ops = [];
+  while (p < end) {
+    const b = v.getUint8(p++);
+    if (b <= 24) {
+      const op = b === 12 ? 1200 + v.getUint8(p++) : b;
+      if (op !== 23) { out[op] = ops; ops = []; }
+    } else if (b === 28) { ops.push(v.getInt16(p)); p += 2; }
+    else if (b === 29) { ops.push(v.getInt32(p)); p += 4; }
+    else if (b === 30) { while (p < end) { const n = v.getUint8(p++); if ((n & 0xF) === 0xF || (n >> 4) === 0xF) break; } ops.push(0); }
+    else if (b <= 246) ops.push(b - 139);
+    else if (b <= 250) ops.push((b - 247) * 256 + v.getUint8(p++) + 108);
+    else if (b <= 254) ops.push(-(b - 251) * 256 - v.getUint8(p++) - 108);
+  }
+  return out;
+}
+
+function cffFDSelect(v, p, numGlyphs) {
+  const format = v.getUint8(p), out = new Uint16Array(numGlyphs);
+  if (format === 0) for (let i = 0; i < numGlyphs; i++) out[i] = v.getUint8(p + 1 + i);
+  else {
+    const wide = format === 4, n = wide ? v.getUint32(p + 1) : v.getUint16(p + 1), rec = wide ? 6 : 3;
+    const at = (k) => p + (wide ? 5 : 3) + k * rec;
+    for (let k = 0; k < n; k++) {
+      const first = wide ? v.getUint32(at(k)) : v.getUint16(at(k));
+      const last = Math.min(wide ? v.getUint32(at(k + 1)) : v.getUint16(at(k + 1)), numGlyphs);
+      const fd = wide ? v.getUint16(at(k) + 4) : v.getUint8(at(k) + 2);
+      out.fill(fd, first, last);
+    }
+  }
+  return out;
+}
+
+// Type 2 charstring of glyph gid, blended with the region scalars; commands in font units
+function cff2Commands(V, gid, scalars) {
+  const C = V.cff2, v = V.v, fd = C.fds[C.fdSelect ? C.fdSelect[gid] : 0] || C.fds[0];
+  const bias = (idx) => idx.items.length < 1240 ? 107 : idx.items.length < 33900 ? 1131 : 32768;
+  const out = [];
+  let x = 0, y = 0, s = [], stems = 0, vsindex = fd.vsindex, open = false;
+  const moveTo = (dx, dy) => { if (open) out.push({ type: 'Z' }); x += dx; y += dy; out.push({ type: 'M', x, y }); open = true; };
+  const lineTo = (dx, dy) => { x += dx; y += dy; out.push({ type: 'L', x, y }); };
+  const curveTo = (a, b, c, d, e, f) => {
+    const x1 = x + a, y1 = y + b, x2 = x1 + c, y2 = y1 + d;
+    x = x2 + e; y = y2 + f;
+    out.push({ type: 'C', x1, y1, x2, y2, x, y });
+  };
+  const run = ([p, end], depth) => {
+    while (p < end) {
+      const b = v.getUint8(p++);
+      if (b >= 32) {
+        if (b <= 246) s.push(b - 139);
+        else if (b <= 250) s.push((b - 247) * 256 + v.getUint8(p++) + 108);
+        else if (b <= 254) s.push(-(b - 251) * 256 - v.getUint8(p++) - 108);
+        else { s.push(v.getInt32(p) / 65536); p += 4; }
+        continue;
+      }
+      const n = s.length;
+      switch (b) {
+        case 28: s.push(v.getInt16(p)); p += 2; continue;
+        case 1: case 3: case 18: case 23: stems += n >> 1; break;
+        case 19: case 20: stems += n >> 1; p += (stems + 7) >> 3; break;
+        case 21: moveTo(s[n - 2], s[n - 1]); break;
+        case 22: moveTo(s[n - 1], 0); break;
+        case 4: moveTo(0, s[n - 1]); break;
+        case 5: for (let k = 0; k + 1 < n; k += 2) lineTo(s[k], s[k + 1]); break;
+        case 6: case 7: for (let k = 0; k < n; k++) ((k % 2 === 0) === (b === 6) ? lineTo(s[k], 0) : lineTo(0, s[k])); break;
+        case 8: for (let k = 0; k + 5 < n; k += 6) curveTo(...s.slice(k, k + 6)); break;
+        case 24: { let k = 0; for (; k + 6 <= n - 2; k += 6) curveTo(...s.slice(k, k + 6)); lineTo(s[k], s[k + 1]); break; }
+        case 25: { let k = 0; for (; k + 2 <= n - 6; k += 2) lineTo(s[k], s[k + 1]); curveTo(...s.slice(k, k + 6)); break; }
+        case 26: { let k = n % 2, d = k ? s[0] : 0; for (; k + 3 < n; k += 4, d = 0) curveTo(d, s[k], s[k + 1], s[k + 2], 0, s[k + 3]); break; }
+        case 27: { let k = n % 2, d = k ? s[0] : 0; for (; k + 3 < n; k += 4, d = 0) curveTo(s[k], d, s[k + 1], s[k + 2], s[k + 3], 0); break; }
+        case 30: case 31: {
+          let horiz = b === 31;
+          for (let k = 0; k + 3 < n; horiz = !horiz) {
+            const last = n - k === 5 ? s[k + 4] : 0;
+            if (horiz) curveTo(s[k], 0, s[k + 1], s[k + 2], last, s[k + 3]);
+            else curveTo(0, s[k], s[k + 1], s[k + 2], s[k + 3], last);
+            k += n - k === 5 ? 5 : 4;
+          }
+          break;
+        }
+        case 10: case 29: {
+          const idx = b === 10 ? fd.subrs : C.gsubrs, i = s.pop() + bias(idx);
+          if (idx?.items[i] && depth < 10) run(idx.items[i], depth + 1);
+          continue;
+        }
+        case 15: vsindex = s.pop(); continue;
+        case 16: {
+          // n base values, then k deltas for each, one per region of the vsindex set
+          const count = s.pop(), d = C.store.data[vsindex], k = d.regions.length, at = s.length - count * (k + 1);
+          const vals = Array.from({ length: count }, (_, j) => d.regions.reduce((acc, r, m) => acc + s[at + count + j * k + m] * scalars[r], s[at + j]));
+          s.splice(at, count * (k + 1), ...vals);
+          continue;
+        }
+        case 12: {
+          const e = v.getUint8(p++), a = s;
+          if (e === 35) { curveTo(...a.slice(0, 6)); curveTo(...a.slice(6, 12)); }
+          else if (e === 34) { curveTo(a[0], 0, a[1], a[2], a[3], 0); curveTo(a[4], 0, a[5], -a[2], a[6], 0); }
+          else if (e === 36) { curveTo(a[0], a[1], a[2], a[3], a[4], 0); curveTo(a[5], 0, a[6], a[7], a[8], -(a[1] + a[3] + a[7])); }
+          else if (e === 37) {
+            const dx = a[0] + a[2] + a[4] + a[6] + a[8], dy = a[1] + a[3] + a[5] + a[7] + a[9];
+            curveTo(...a.slice(0, 6));
+            Math.abs(dx) > Math.abs(dy) ? curveTo(a[6], a[7], a[8], a[9], a[10], -dy) : curveTo(a[6], a[7], a[8], a[9], -dx, a[10]);
+          }
+          break;
+        }
+        default: continue; // return and reserved operators
+      }
+      s = [];
+    }
+  };
+  const cs = C.charStrings.items[gid];
+  if (cs) run(cs, 0);
+  if (open) out.push({ type: 'Z' });
+  return out;
+}
+
+/* =================== Node export =================== */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GLYPH_SIZE, DEFAULT_PARAMS, RANDOM_DEFAULTS, EFFECTS, DEFAULT_EFFECTS,
+    GlyphModel, registerEffect, defaultEffects, useFonts, onModel,
+    fontUnit, fontMetrics, seededRandom, seededNoise, parseFont, setVariation, glyphOutline,
+    diffJSON, applyDiff, describeDiff, historyFromStacks,
+    newPath, copyCommands, translateCommands, scaleCommands, slantCommands, bboxOf, contoursOf,
+    sfntTables, sfntWith,
+    outlineClockwise, validateOutline, cleanOutline, offsetCommands, roundCorners, svgPathData, svgDocument, pdfDocument, svgToCommands, svgItemCommands
+  };
+}
@@ -0,0 +1,59 @@
+// The headless core and the batch renderer on top of it, with a font from fixtures/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const core = require('../letter_core.js');
+
+const FONT = path.join(__dirname, 'fixtures', 'instance-400.ttf');
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const b = fs.readFileSync(FONT);
+const font = core.parseFont(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength));
+core.useFonts(font);
+
+const rounded = (cmds) => cmds.map(c => Object.fromEntries(Object.entries(c).map(([k, x]) => [k, typeof x === 'number' ? Math.round(x * 1e9) / 1e9 || 0 : x])));
+const render = (ch, seed, params) => {
+  const m = new core.GlyphModel();
+  m.generate(ch);
+  Object.assign(m.params, params);
+  m.applyParams();
+  m.randomize(seed, core.RANDOM_DEFAULTS);
+  return core.svgDocument(core.cleanOutline(m.path.commands));
+};
+
+test('the same seed and params give the same SVG', () => {
+  const params = { weight: 3, slant: 0.2, width: 1.1 };
+  assert.strictEqual(render('A', 7, params), render('A', 7, params));
+  assert.notStrictEqual(render('A', 7, params), render('A', 8, params));
+});
+
+test('Weight 0 and the other params at rest give the source outline', () => {
+  const m = new core.GlyphModel();
+  m.generate('A');
+  m.params.weight = 0;
+  m.applyParams();
+  assert.deepStrictEqual(rounded(m.path.commands), rounded(core.glyphOutline(font, font.charToGlyph('A')).commands));
+});
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('the CLI writes one SVG per character', (t) => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'letter-playground-'));
+  t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+  const r = run('--font', FONT, '--chars', 'AB', '--out', out, '--seed', '3');
+  assert.strictEqual(r.status, 0, r.stderr);
+  assert.deepStrictEqual(fs.readdirSync(out).sort(), ['uni0041.svg', 'uni0042.svg']);
+  assert.match(fs.readFileSync(path.join(out, 'uni0041.svg'), 'utf8'), /^<svg [^>]*>\s*<path d="M/);
+});
+
+test('the CLI fails on a bad --effects or a missing --font', () => {
+  const bad = run('--font', FONT, '--effects', 'slant,nope', '--out', os.tmpdir());
+  assert.notStrictEqual(bad.status, 0);
+  assert.match(bad.stderr, /unknown effect "nope"/);
+  const missing = run('--chars', 'A');
+  assert.notStrictEqual(missing.status, 0);
+  assert.match(missing.stderr, /--font is required/);
+});
@@ -0,0 +1,283 @@
+// Writes the fonts variable-fonts.test.js reads: small variable fonts in both outline
+// formats and, for each instance the test checks, a static font drawn at that instance
+// straight from the masters below. Run it again after changing them:
+//   node test/fixtures/build.js
+const fs = require('fs');
+const path = require('path');
+const opentype = require('opentype.js');
+const { sfntWith } = require('../../letter_core.js');
+
+/* =================== Masters =================== */
+// One axis, wght 100..400..900; avar bends 0.5 to 0.75 so 650 lands on exact scalars.
+// Regions: 0 up to wght 900, 1 a tent peaking halfway (start 0, peak 0.5, end 1), 2 down to wght 100.
+const AXIS = { tag: 'wght', min: 100, def: 400, max: 900 };
+const AVAR = [[-1, -1], [0, 0], [0.5, 0.75], [1, 1]];
+const REGIONS = [[0, 1, 1], [0, 0.5, 1], [-1, -1, 0]];
+// Region scalars at the instances the test compares, worked out by hand from AVAR and REGIONS
+const INSTANCES = { 250: [0, 0, 0.5], 400: [0, 0, 0], 650: [0.75, 0.5, 0], 900: [1, 0, 0] };
+const GLYPHS = [{ name: '.notdef', advance: 500 }, { name: 'A', unicode: 0x41, advance: 600 }, { name: 'B', unicode: 0x42, advance: 700 }];
+const ADVANCE_DELTAS = [[0, 0, 0], [100, 0, -60], [100, 0, -60]];
+
+// TrueType A: points with a delta per region, outer contour clockwise with one off-curve
+// point, the counter the other way. Region 1 only touches counter points 5, 6 and 8; the
+// deltas of 7 and 9 are what IUP gives them, spelled out for the reference instances.
+const P = (x, y, on, d0 = [0, 0], d1 = [0, 0], d2 = [0, 0], touched1 = false) => ({ x, y, on, d: [d0, d1, d2], touched1 });
+const TT_A = [
+  [P(100, 0, 1, [-40, 0], [0, 0], [30, 0]), P(100, 700, 1, [-40, 0], [0, 0], [30, 0]), P(300, 800, 0, [0, 40], [0, 0], [0, -30]),
+   P(500, 700, 1, [40, 0], [0, 0], [-30, 0]), P(500, 0, 1, [40, 0], [0, 0], [-30, 0])],
+  [P(200, 200, 1, [0, 0], [-10, -30], [0, 0], true), P(400, 200, 1, [0, 0], [10, -30], [0, 0], true),
+   P(400, 350, 1, [0, 0], [10, 0]), P(400, 500, 1, [0, 0], [10, 30], [0, 0], true), P(200, 500, 1, [0, 0], [-10, 30])]
+];
+// TrueType B: A as a component, its offset varying
+const TT_B = { glyph: 1, offset: P(50, 0, 1, [40, 0], [0, 0], [-20, 0]) };
+
+// CFF2 A: the same shapes, outer contour counter-clockwise with a cubic top, the counter the other way
+const CFF_A = [
+  [P(100, 0, 1, [-40, 0], [0, 0], [30, 0]), P(500, 0, 1, [40, 0], [0, 0], [-30, 0]), P(500, 700, 1, [40, 0], [0, 0], [-30, 0]),
+   P(450, 800, 0, [40, 40], [0, 0], [-30, -30]), P(150, 800, 0, [-40, 40], [0, 0], [30, -30]), P(100, 700, 1, [-40, 0], [0, 0], [30, 0])],
+  [P(200, 200, 1, [0, 0], [-10, -30]), P(200, 500, 1, [0, 0], [-10, 30]), P(400, 500, 1, [0, 0], [10, 30]), P(400, 200, 1, [0, 0], [10, -30])]
+];
+// CFF2 B: a box whose three sides come from a local subroutine of the second font dict
+const CFF_B = { start: P(50, 0, 1), sides: [P(500, 0, 1, [100, 0], [0, 0], [-60, 0]), P(0, 600, 1), P(-500, 0, 1, [-100, 0], [0, 0], [60, 0])] };
+
+const at = (p, s) => ({ ...p, x: p.x + p.d.reduce((a, d, r) => a + d[0] * s[r], 0), y: p.y + p.d.reduce((a, d, r) => a + d[1] * s[r], 0) });
+const advanceAt = (gid, s) => GLYPHS[gid].advance + ADVANCE_DELTAS[gid].reduce((a, d, r) => a + d * s[r], 0);
+
+/* =================== Binary helpers =================== */
+function bytes(fields) {
+  const size = fields.reduce((a, [t]) => a + { u8: 1, i16: 2, u16: 2, f2: 2, u32: 4, i32: 4, fixed: 4, tag: 4 }[t], 0);
+  const out = new Uint8Array(size), v = new DataView(out.buffer);
+  let p = 0;
+  for (const [t, x] of fields) {
+    if (t === 'u8') v.setUint8(p++, x);
+    else if (t === 'i16') { v.setInt16(p, x); p += 2; }
+    else if (t === 'u16') { v.setUint16(p, x); p += 2; }
+    else if (t === 'f2') { v.setInt16(p, Math.round(x * 16384)); p += 2; }
+    else if (t === 'u32') { v.setUint32(p, x); p += 4; }
+    else if (t === 'i32') { v.setInt32(p, x); p += 4; }
+    else if (t === 'fixed') { v.setInt32(p, Math.round(x * 65536)); p += 4; }
+    else { for (let k = 0; k < 4; k++) out[p + k] = x.charCodeAt(k); p += 4; }
+  }
+  return out;
+}
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((a, b) => a + b.length, 0));
+  parts.reduce((p, b) => { out.set(b, p); return p + b.length; }, 0);
+  return out;
+}
+const pad = (b, n = 4) => concat([b, new Uint8Array((n - b.length % n) % n)]);
+
+/* =================== Shared tables =================== */
+// cmap, names, metrics and the rest from opentype.js with the advances of instance s;
+// the glyph outlines are replaced later
+function baseFont(draw, s = INSTANCES[AXIS.def]) {
+  const glyphs = GLYPHS.map((g, i) => new opentype.Glyph({ name: g.name, unicode: g.unicode, advanceWidth: advanceAt(i, s), path: draw(i) }));
+  const f = new opentype.Font({ familyName: 'Fixture', styleName: 'Regular', unitsPerEm: 1000, ascender: 800, descender: -200, glyphs, createdTimestamp: 1735689600 });
+  const buffer = f.toArrayBuffer();
+  // the same bytes on every run: modified = created
+  const head = sfntTable(buffer, 'head').slice();
+  head.set(head.slice(20, 28), 28);
+  return sfntWith(buffer, { head });
+}
+function sfntTable(buffer, tag) {
+  const v = new DataView(buffer);
+  for (let i = 0; i < v.getUint16(4); i++) {
+    const r = 12 + i * 16;
+    if (String.fromCharCode(...new Uint8Array(buffer, r, 4)) === tag) return new Uint8Array(buffer, v.getUint32(r + 8), v.getUint32(r + 12));
+  }
+  return null;
+}
+
+function fvar() {
+  return concat([
+    bytes([['u32', 0x00010000], ['u16', 16], ['u16', 2], ['u16', 1], ['u16', 20], ['u16', 0], ['u16', 8]]),
+    bytes([['tag', AXIS.tag], ['fixed', AXIS.min], ['fixed', AXIS.def], ['fixed', AXIS.max], ['u16', 0], ['u16', 256]])
+  ]);
+}
+function avar() {
+  return bytes([['u16', 1], ['u16', 0], ['u16', 0], ['u16', 1], ['u16', AVAR.length], ...AVAR.flatMap(([a, b]) => [['f2', a], ['f2', b]])]);
+}
+// Item variation store over all regions, one row of int16 deltas per item
+function itemStore(rows) {
+  const regions = bytes([['u16', 1], ['u16', REGIONS.length], ...REGIONS.flatMap(t => t.map(x => ['f2', x]))]);
+  const data = bytes([['u16', rows.length], ['u16', REGIONS.length], ['u16', REGIONS.length], ...REGIONS.map((_, r) => ['u16', r]), ...rows.flat().map(d => ['i16', d])]);
+  const head = 2 + 4 + 2 + 4;
+  return concat([bytes([['u16', 1], ['u32', head + data.length], ['u16', 1], ['u32', head]]), data, regions]);
+}
+function hvar() {
+  return concat([bytes([['u16', 1], ['u16', 0], ['u32', 20], ['u32', 0], ['u32', 0], ['u32', 0]]), itemStore(ADVANCE_DELTAS)]);
+}
+
+/* =================== TrueType =================== */
+function simpleGlyph(contours) {
+  const pts = contours.flat(), xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+  let end = -1, x = 0, y = 0;
+  return pad(bytes([
+    ['i16', contours.length], ['i16', Math.min(...xs)], ['i16', Math.min(...ys)], ['i16', Math.max(...xs)], ['i16', Math.max(...ys)],
+    ...contours.map(c => ['u16', end += c.length]), ['u16', 0],
+    ...pts.map(p => ['u8', p.on ? 1 : 0]),
+    ...pts.map(p => { const d = p.x - x; x = p.x; return ['i16', d]; }),
+    ...pts.map(p => { const d = p.y - y; y = p.y; return ['i16', d]; })
+  ]), 2);
+}
+function compositeGlyph(glyph, dx, dy, box) {
+  // ARG_1_AND_2_ARE_WORDS | ARGS_ARE_XY_VALUES
+  return bytes([['i16', -1], ['i16', box[0] + dx], ['i16', box[1] + dy], ['i16', box[2] + dx], ['i16', box[3] + dy], ['u16', 3], ['u16', glyph], ['i16', dx], ['i16', dy]]);
+}
+function glyfLoca(glyphs) {
+  let at = 0;
+  const offsets = glyphs.map(g => { const o = at; at += g.length; return o; });
+  return { glyf: concat(glyphs), loca: bytes([...offsets, at].map(o => ['u16', o / 2])) };
+}
+function maxp(points, contours) {
+  return bytes([['u32', 0x00010000], ['u16', GLYPHS.length], ['u16', points], ['u16', contours], ['u16', points], ['u16', contours],
+    ['u16', 2], ...Array(6).fill(['u16', 0]), ['u16', 1], ['u16', 1]]);
+}
+function ttFont(a, b) {
+  const pts = a.flat(), xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+  const box = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  return { ...glyfLoca([new Uint8Array(0), simpleGlyph(a), compositeGlyph(TT_B.glyph, b.x, b.y, box)]), maxp: maxp(pts.length, a.length), 'CFF ': null };
+}
+
+// gvar: A gets a tuple per region (region 1 with its own point numbers), B one for its
+// component offset; the 4 phantom points carry the advance deltas
+function gvar() {
+  const words = (ds) => { const out = []; for (let k = 0; k < ds.length; k += 64) { const run = ds.slice(k, k + 64); out.push(['u8', 0x40 | (run.length - 1)], ...run.map(d => ['i16', d])); } return out; };
+  const glyphData = (tuples) => {
+    const headers = [], data = [];
+    for (const t of tuples) {
+      const points = t.points ? bytes([['u8', t.points.length], ['u8', t.points.length - 1], ...t.points.map((p, k) => ['u8', p - (k ? t.points[k - 1] : 0)])]) : new Uint8Array(0);
+      const body = concat([points, bytes(words(t.deltas.map(d => d[0]))), bytes(words(t.deltas.map(d => d[1])))]);
+      const [start, peak, end] = REGIONS[t.region];
+      const inter = start !== Math.min(peak, 0) || end !== Math.max(peak, 0);
+      headers.push(bytes([['u16', body.length], ['u16', 0x8000 | (inter ? 0x4000 : 0) | (t.points ? 0x2000 : 0)], ['f2', peak], ...(inter ? [['f2', start], ['f2', end]] : [])]));
+      data.push(body);
+    }
+    const head = concat(headers);
+    return pad(concat([bytes([['u16', tuples.length], ['u16', 4 + head.length]]), head, ...data]), 2);
+  };
+  const phantom = (gid, r) => [[0, 0], [ADVANCE_DELTAS[gid][r], 0], [0, 0], [0, 0]];
+  const pts = TT_A.flat();
+  const touched = pts.flatMap((p, i) => p.touched1 ? [i] : []);
+  const a = glyphData([
+    { region: 0, deltas: [...pts.map(p => p.d[0]), ...phantom(1, 0)] },
+    { region: 1, points: touched, deltas: touched.map(i => pts[i].d[1]) },
+    { region: 2, deltas: [...pts.map(p => p.d[2]), ...phantom(1, 2)] }
+  ]);
+  const b = glyphData([0, 2].map(r => ({ region: r, deltas: [TT_B.offset.d[r], ...phantom(2, r)] })));
+  const offsets = [0, 0, a.length, a.length + b.length];
+  return concat([
+    bytes([['u16', 1], ['u16', 0], ['u16', 1], ['u16', 0], ['u32', 20 + offsets.length * 2], ['u16', GLYPHS.length], ['u16', 0],
+      ['u32', 20 + offsets.length * 2], ...offsets.map(o => ['u16', o / 2])]),
+    a, b
+  ]);
+}
+
+function writeTrueType() {
+  const base = baseFont(() => new opentype.Path());
+  const variable = sfntWith(base, { ...ttFont(TT_A, TT_B.offset), fvar: fvar(), avar: avar(), gvar: gvar(), HVAR: hvar() }, 0x00010000);
+  save('variable.ttf', variable);
+  for (const [wght, s] of Object.entries(INSTANCES)) {
+    const instance = ttFont(TT_A.map(c => c.map(p => at(p, s))), at(TT_B.offset, s));
+    save(`instance-${wght}.ttf`, sfntWith(baseFont(() => new opentype.Path(), s), instance, 0x00010000));
+  }
+}
+
+/* =================== CFF2 =================== */
+// Every operand of a path operator is blended when blend is set: the values, their deltas
+// region by region, the count, then the blend operator
+function charString(cmds, blend) {
+  const out = [];
+  const num = (x) => out.push(['u8', 28], ['i16', x]);
+  for (const { op, args } of cmds) {
+    args.forEach(a => num(a.x));
+    if (blend && args.length) {
+      args.forEach(a => a.d.forEach(d => num(d)));
+      num(args.length);
+      out.push(['u8', 16]);
+    }
+    out.push(['u8', op]);
+  }
+  return bytes(out);
+}
+// x and y of relative moves as separate operands with their own deltas
+const rel = (p, q) => [{ x: q.x - p.x, d: q.d.map((d, r) => d[0] - p.d[r][0]) }, { x: q.y - p.y, d: q.d.map((d, r) => d[1] - p.d[r][1]) }];
+const flat = (p) => [{ x: p.x, d: p.d.map(d => d[0]) }, { x: p.y, d: p.d.map(d => d[1]) }];
+function cffA(contours) {
+  const cmds = [];
+  let cur = P(0, 0, 1);
+  for (const c of contours) {
+    cmds.push({ op: 21, args: rel(cur, c[0]) });
+    for (let i = 1; i < c.length; i++) {
+      if (c[i].on) cmds.push({ op: 5, args: rel(c[i - 1], c[i]) });
+      else { cmds.push({ op: 8, args: [...rel(c[i - 1], c[i]), ...rel(c[i], c[i + 1]), ...rel(c[i + 1], c[i + 2])] }); i += 2; }
+    }
+    cur = c[c.length - 1];
+  }
+  return cmds;
+}
+function cff2(blend) {
+  const index = (items) => {
+    const offsets = [1];
+    items.forEach(b => offsets.push(offsets[offsets.length - 1] + b.length));
+    return concat([bytes([['u32', items.length], ['u8', 4], ...offsets.map(o => ['u32', o])]), ...items]);
+  };
+  const dict = (entries) => bytes(entries.flatMap(([ops, op]) => [...ops.flatMap(o => [['u8', 29], ['i32', o]]), ...(op >= 1200 ? [['u8', 12], ['u8', op - 1200]] : [['u8', op]])]));
+  const charStrings = index([
+    new Uint8Array(0),
+    charString(cffA(CFF_A), blend),
+    concat([charString([{ op: 21, args: flat(CFF_B.start) }], blend), bytes([['u8', 28], ['i16', -107], ['u8', 10]])])
+  ]);
+  const subrs = index([charString([{ op: 5, args: CFF_B.sides.flatMap(flat) }], blend)]);
+  const store = blend ? (s => concat([bytes([['u16', s.length]]), s]))(itemStore([])) : new Uint8Array(0);
+  const fdSelect = bytes([['u8', 3], ['u16', 2], ['u16', 0], ['u8', 0], ['u16', 2], ['u8', 1], ['u16', GLYPHS.length]]);
+  // layout: header, top dict, global subrs, store, charstrings, fdselect, fdarray, private 0, private 1, subrs 1
+  const topSize = (blend ? 4 : 3) * 6 + 2; // int32 operands; FDArray and FDSelect are two-byte operators
+  let at = 5 + topSize;
+  const gsubrs = index([]);
+  const pos = {};
+  for (const [k, b] of [['gsubrs', gsubrs], ['store', store], ['charStrings', charStrings], ['fdSelect', fdSelect]]) { pos[k] = at; at += b.length; }
+  const fdArraySize = 4 + 1 + 3 * 4 + 2 * 11;
+  const priv1Size = 6;
+  const priv0 = at + fdArraySize, priv1 = priv0;
+  const fdArray = index([dict([[[0, priv0], 18]]), dict([[[priv1Size, priv1], 18]])]);
+  const private1 = dict([[[priv1Size], 19]]);
+  const top = dict([[[pos.charStrings], 17], [[at], 1236], [[pos.fdSelect], 1237], ...(blend ? [[[pos.store], 24]] : [])]);
+  if (top.length !== topSize || fdArray.length !== fdArraySize) throw new Error('CFF2 layout is off');
+  return concat([bytes([['u8', 2], ['u8', 0], ['u8', 5], ['u16', top.length]]), top, gsubrs, store, charStrings, fdSelect, fdArray, private1, subrs]);
+}
+
+// References in CFF: the cubic outlines of an instance through opentype.js
+function cffPath(gid, s) {
+  const p = new opentype.Path();
+  if (gid === 1) {
+    for (const c of CFF_A.map(c => c.map(q => at(q, s)))) {
+      p.moveTo(c[0].x, c[0].y);
+      for (let i = 1; i < c.length; i++) {
+        if (c[i].on) p.lineTo(c[i].x, c[i].y);
+        else { p.curveTo(c[i].x, c[i].y, c[i + 1].x, c[i + 1].y, c[i + 2].x, c[i + 2].y); i += 2; }
+      }
+      p.close();
+    }
+  } else if (gid === 2) {
+    let { x, y } = at(CFF_B.start, s);
+    p.moveTo(x, y);
+    for (const side of CFF_B.sides) { const d = at(side, s); x += d.x; y += d.y; p.lineTo(x, y); }
+    p.close();
+  }
+  return p;
+}
+
+function writeCFF2() {
+  const base = baseFont(() => new opentype.Path());
+  save('variable.otf', sfntWith(base, { 'CFF ': null, CFF2: cff2(true), fvar: fvar(), avar: avar(), HVAR: hvar() }));
+  save('static-cff2.otf', sfntWith(base, { 'CFF ': null, CFF2: cff2(false) }));
+  for (const [wght, s] of Object.entries(INSTANCES)) save(`instance-${wght}.otf`, baseFont(gid => cffPath(gid, s), s));
+}
+
+function save(name, buffer) {
+  fs.writeFileSync(path.join(__dirname, name), new Uint8Array(buffer));
+}
+
+writeTrueType();
+writeCFF2();
@@ -0,0 +1,98 @@
+// The undo history: diffs between states, the step tree built from them, pruning and
+// the undo and redo stacks of version 1 projects.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../letter_core.js');
+
+const b = fs.readFileSync(path.join(__dirname, 'fixtures', 'instance-400.ttf'));
+core.useFonts(core.parseFont(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength)));
+
+const clone = (x) => JSON.parse(JSON.stringify(x));
+// what a step records, read off the model
+const state = (m) => clone({ source: m.originalPath.commands, params: m.params, effects: m.effects, layers: m.layers, spacing: m.spacing, guides: m.guides, keys: m.keys });
+
+test('a diff applies forward and back', () => {
+  const pt = (x, y) => ({ type: 'L', x, y });
+  const pairs = [
+    [[1, 2, 3], [1, 2, 3, 4, 5]],                                       // longer
+    [[1, 2, 3, 4, 5], [1, 5]],                                          // shorter, cut in the middle
+    [[], [pt(1, 2)]],
+    [[pt(0, 0), pt(1, 1), pt(2, 2)], [pt(0, 0), pt(9, 9), pt(7, 7), pt(2, 2)]],
+    [{ a: 1, b: { c: 2 } }, { a: 1, b: { c: 2, d: [3] } }],             // key added
+    [{ a: 1, b: { c: 2, d: 4 } }, { b: { d: 5 } }],                     // keys removed
+    [{ layers: { edit: [null, { x: 1 }], random: [] } }, { layers: { edit: [{ y: 2 }], random: [null, null, { x: 3 }] } }],
+    [{ v: [1, [2, 3]] }, { v: [1, [2, 3, 4], 5] }]
+  ];
+  for (const [a, b] of pairs) {
+    const keepA = clone(a), keepB = clone(b);
+    const diff = core.diffJSON(a, b);
+    assert.deepStrictEqual(a, keepA, 'diffJSON leaves its inputs alone');
+    assert.deepStrictEqual(core.applyDiff(clone(a), diff, 1), keepB);
+    assert.deepStrictEqual(core.applyDiff(clone(b), diff, -1), keepA);
+  }
+  assert.deepStrictEqual(core.diffJSON({ a: [1, 2] }, { a: [1, 2] }), []);
+});
+
+test('going to a step on another branch rebuilds its state', () => {
+  const m = new core.GlyphModel();
+  m.generate('A');
+  const at = { [m.history.head]: state(m) };
+  const record = () => { at[m.history.head] = state(m); };
+  m.params.weight = 10; m.applyParams('Weight'); record();
+  m.movePoints([{ index: 1, type: 'anchor' }], 3, -2); m.saveState('Move'); record();
+  m.simplify(1); record();                                            // structure: a point goes
+  m.undo(); m.undo();
+  m.params.slant = 0.3; m.applyParams('Slant'); record();             // a branch off Weight
+  m.addGuide('x', 12); record();
+  m.insertPoint(2, 0.5); record();
+  m.goTo(2);
+  m.effects[0].on = false; m.applyParams('Effects'); record();        // and one off Move
+  assert.ok(Object.keys(m.stepChildren()).some(p => m.stepChildren()[p].length > 1), 'the history has branches');
+  for (const id of [3, 0, 6, 1, 7, 4, 2, 5, 3]) {
+    m.goTo(id);
+    assert.deepStrictEqual(state(m), at[id], `step ${id}`);
+    assert.deepStrictEqual(m.stateAt(id), at[id]);
+  }
+  m.goTo(0);
+  m.redo(); m.redo();
+  assert.strictEqual(m.history.head, 2, 'redo follows the way last taken');
+});
+
+test('pruning past maxHist keeps the current state', () => {
+  const m = new core.GlyphModel();
+  m.generate('A');
+  for (let i = 1; i <= 230; i++) {
+    m.params.slant = i / 100;
+    m.applyParams(`Step ${i}`);
+  }
+  const H = m.history;
+  assert.strictEqual(m.maxHist, 200);
+  assert.strictEqual(Object.keys(H.steps).length, 200);
+  assert.strictEqual(H.steps[H.root].parent, -1);
+  const head = state(m);
+  assert.deepStrictEqual(m.stateAt(H.head), head);
+  m.goTo(H.root);
+  assert.strictEqual(m.params.slant, 0.31);
+  assert.deepStrictEqual(state(m), H.base);
+  m.goTo(230);
+  assert.deepStrictEqual(state(m), head);
+});
+
+test('undo and redo stacks become the same states', () => {
+  const s = [0, 1, 2, 3, 4].map(i => ({
+    source: [{ type: 'M', x: 0, y: 0 }, ...Array.from({ length: i }, (_, k) => ({ type: 'L', x: k, y: i }))],
+    params: { weight: i, ...(i % 2 ? { slant: i } : {}) },
+    layers: { edit: i > 2 ? [{ x: i }] : [], random: [] }
+  }));
+  // the undo stack ends at the current state, the redo stack has the next one on top
+  const m = new core.GlyphModel();
+  m.history = core.historyFromStacks(clone(s.slice(0, 3)), clone([s[4], s[3]]));
+  assert.strictEqual(m.history.head, 2);
+  const got = {};
+  m.eachStep((id, st) => { got[id] = clone(st); });
+  assert.deepStrictEqual(got, Object.fromEntries(s.map((st, i) => [i, st])));
+  for (let i = 0; i < 4; i++) assert.strictEqual(m.history.steps[i].last, i + 1);
+  assert.strictEqual(core.historyFromStacks([], []), null);
+});
@@ -0,0 +1,48 @@
+// GlyphModel edits and their history, on a letter from fixtures/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../letter_core.js');
+
+const b = fs.readFileSync(path.join(__dirname, 'fixtures', 'instance-400.ttf'));
+core.useFonts(core.parseFont(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength)));
+
+// "A" of the fixture: a box with a curved top and a counter, an extra point halfway up its right side
+const letter = () => {
+  const m = new core.GlyphModel();
+  m.generate('A');
+  return m;
+};
+
+test('a dry run leaves the glyph it copies alone', () => {
+  const m = letter();
+  const corners = m.effects.find(fx => fx.type === 'corners');
+  corners.points = [1, 8, 10];
+  m.params.cornerRadius = 2;
+  m.applyParams('Corners');
+  const before = JSON.parse(JSON.stringify({ effects: m.effects, params: m.params, history: m.history, source: m.originalPath.commands }));
+  const { model, result } = m.dryRun(c => c.simplify(1));
+  assert.ok(result > 0, 'simplify took a point out of the copy');
+  assert.notDeepStrictEqual(model.effects, before.effects);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify({ effects: m.effects, params: m.params, history: m.history, source: m.originalPath.commands })), before);
+  model.params.weight = 5;
+  assert.strictEqual(m.params.weight, before.params.weight);
+});
+
+test('a slider dragged back to where it started keeps redo on the older branch', () => {
+  const m = letter();
+  m.params.weight = 40;
+  m.applyParams('Bold');
+  const bold = m.history.head;
+  m.undo();
+  m.params.slant = 10;
+  m.applyParams();
+  m.params.slant = 0;
+  m.applyParams();
+  assert.strictEqual(m.history.head, m.history.root);
+  assert.strictEqual(m.history.steps[m.history.root].last, bold);
+  m.redo();
+  assert.strictEqual(m.history.head, bold);
+  assert.strictEqual(m.params.weight, 40);
+});
@@ -0,0 +1,39 @@
+// Imported artwork must come out the way validateOutline() checks it, for both outline formats.
+const test = require('node:test');
+const assert = require('node:assert');
+const paper = require('paper/dist/paper-core');
+const core = require('../letter_core.js');
+
+paper.setup(new paper.Size(1, 1)); // items need a project to belong to
+
+// a square with a square hole, both drawn the same way: the fill rule decides what is a hole
+const shape = (fillRule) => new paper.CompoundPath({
+  pathData: 'M0 0H60V60H0Z M20 20H40V40H20Z', fillColor: new paper.Color(0), fillRule, insert: false
+});
+const directionIssues = (cmds, clockwise) => core.validateOutline(cmds, clockwise).filter(i => i.kind === 'direction');
+
+for (const [format, clockwise] of [['TrueType', true], ['CFF', false]]) {
+  test(`filled shapes are wound for ${format} outlines`, () => {
+    assert.strictEqual(core.outlineClockwise({ outlinesFormat: format === 'CFF' ? 'cff' : 'truetype' }), clockwise);
+    for (const rule of ['evenodd', 'nonzero']) {
+      const item = shape(rule);
+      if (rule === 'nonzero') item.lastChild.reverse();
+      const cmds = core.svgItemCommands(item, clockwise);
+      assert.strictEqual(cmds.filter(c => c.type === 'M').length, 2);
+      assert.deepStrictEqual(directionIssues(cmds, clockwise), [], rule);
+      // the other format flags both contours, so the check above is not empty
+      assert.strictEqual(directionIssues(cmds, !clockwise).length, 2, rule);
+    }
+  });
+}
+
+test('stroked-only paths keep their direction', () => {
+  const item = new paper.Path({ pathData: 'M0 0H60V60H0Z', strokeColor: new paper.Color(0), insert: false });
+  const cmds = core.svgItemCommands(item, true);
+  assert.deepStrictEqual(cmds.slice(0, 2).map(c => [c.x, c.y]), [[0, 0], [60, 0]]);
+});
+
+test('import and check agree without being told the direction', () => {
+  const cmds = core.svgItemCommands(shape('evenodd'));
+  assert.deepStrictEqual(directionIssues(cmds), []);
+});
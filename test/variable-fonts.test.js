@@ -0,0 +1,37 @@
+// Variable fonts at an axis value draw like a static font of that instance.
+// The fonts come from fixtures/build.js.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../letter_core.js');
+
+const load = (name) => {
+  const b = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+  return core.parseFont(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength));
+};
+// outline and advance of a character, rounded past the float noise of the two routes
+const drawn = (f, ch) => {
+  const { commands, advance } = core.glyphOutline(f, f.charToGlyph(ch));
+  const round = (x) => typeof x === 'number' ? Math.round(x * 1e6) / 1e6 || 0 : x; // -0 too
+  return { commands: commands.map(c => Object.fromEntries(Object.entries(c).map(([k, x]) => [k, round(x)]))), advance: round(advance) };
+};
+
+for (const [format, ext] of [['TrueType', 'ttf'], ['CFF2', 'otf']]) {
+  // 250 and 900 sit on the ends of the axis regions, 650 on the avar bend and the intermediate one
+  for (const wght of [250, 400, 650, 900]) {
+    test(`${format} variable font at wght ${wght} matches its instance`, () => {
+      const f = load(`variable.${ext}`), ref = load(`instance-${wght}.${ext}`);
+      assert.ok(f.variation);
+      core.setVariation(f, { wght });
+      for (const ch of 'AB') assert.deepStrictEqual(drawn(f, ch), drawn(ref, ch), ch);
+    });
+  }
+}
+
+test('a static CFF2 font loads with its outlines', () => {
+  const f = load('static-cff2.otf'), ref = load('instance-400.otf');
+  assert.strictEqual(f.variation, undefined);
+  assert.strictEqual(f.outlinesFormat, 'cff');
+  for (const ch of 'AB') assert.deepStrictEqual(drawn(f, ch), drawn(ref, ch), ch);
+});